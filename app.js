@@ -3,22 +3,35 @@ const express = require('express');
 const path = require('path');
 const cookieParser = require('cookie-parser');
 const logger = require('morgan');
+const session = require('express-session');
+const MongoStore = require('connect-mongo');
 require('dotenv').config();
+const config = require('./config');
 
 // Set up mongoose connection
 const mongoose = require('mongoose');
 mongoose.set('strictQuery', false);
 const mongoDB = process.env.mongoDB;
 
-main().catch((err) => console.log(err));
+const connection = main();
+connection.catch((err) => console.log(err));
+
+// Run the scheduled jobs once the database is up.
+if (config.schedulerEnabled) {
+  connection.then(() => require('./lib/jobs').start()).catch((err) => console.log(err));
+}
 
 async function main() {
   await mongoose.connect(mongoDB);
+  return mongoose.connection.getClient();
 }
 
+const { passport, exposeUser } = require('./lib/auth');
+
 const indexRouter = require('./routes/index');
 const usersRouter = require('./routes/users');
 const catalogRouter = require('./routes/catalog');
+const apiRouter = require('./routes/api');
 
 const compression = require('compression');
 const helmet = require('helmet');
@@ -40,7 +53,7 @@ app.use(limiter);
 app.use(
   helmet.contentSecurityPolicy({
     directives: {
-      'script-src': ['self', 'code.jquery.com', 'cdn.jsdelivr.net'],
+      'script-src': ["'self'", 'code.jquery.com', 'cdn.jsdelivr.net'],
     },
   })
 );
@@ -49,6 +62,10 @@ app.use(
 app.set('views', path.join(__dirname, 'views'));
 app.set('view engine', 'pug');
 
+// Settings the views show.
+app.locals.coverMaxSize = require('./lib/covers').maxSize;
+app.locals.contributorRoles = require('./models/book').schema.path('contributors.role').enumValues;
+
 // Compress all routes
 app.use(compression());
 
@@ -57,10 +74,31 @@ app.use(express.json());
 app.use(express.urlencoded({ extended: false }));
 app.use(cookieParser());
 app.use(express.static(path.join(__dirname, 'public')));
+if (config.storageDriver === 'local') {
+  // Uploaded book covers.
+  app.use(config.uploadUrl, express.static(config.uploadDir));
+}
+
+// Login sessions are kept in MongoDB so they survive restarts.
+app.use(
+  session({
+    secret: config.sessionSecret,
+    resave: false,
+    saveUninitialized: false,
+    // Expired sessions are deleted by the prune-sessions job.
+    store: MongoStore.create({ clientPromise: connection, autoRemove: 'disabled' }),
+    // Browsers do not send the cookie with POSTs from other sites, which guards the forms against
+    // cross-site request forgery.
+    cookie: { maxAge: 1000 * 60 * 60 * 24 * 7, sameSite: 'lax' }, // 1 Week
+  })
+);
+app.use(passport.session());
+app.use(exposeUser);
 
 app.use('/', indexRouter);
 app.use('/users', usersRouter);
 app.use('/catalog', catalogRouter);
+app.use('/api/v1', apiRouter);
 
 // catch 404 and forward to error handler
 app.use(function(req, res, next) {
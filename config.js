@@ -0,0 +1,65 @@
+// Library settings. Each value can be overridden through the environment (or .env).
+
+const path = require('path');
+
+// Anyone who knows the session secret can forge a login, so production must set its own.
+if (process.env.NODE_ENV === 'production' && !process.env.SESSION_SECRET) {
+  throw new Error('SESSION_SECRET must be set in production');
+}
+
+function intFromEnv(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+}
+
+module.exports = {
+  // Number of days a copy may be kept before it is due back.
+  loanPeriodDays: intFromEnv('LOAN_PERIOD_DAYS', 21),
+
+  // Number of days a patron has to pick up a copy set aside for their hold.
+  holdPickupDays: intFromEnv('HOLD_PICKUP_DAYS', 7),
+
+  // Fine charged for every day a copy is returned late, in cents.
+  finePerDayCents: intFromEnv('FINE_PER_DAY_CENTS', 25),
+
+  // Where book metadata is looked up by ISBN: "openlibrary", or "file" to read METADATA_FILE.
+  metadataProvider: process.env.METADATA_PROVIDER || 'openlibrary',
+  metadataFile: process.env.METADATA_FILE || path.join(__dirname, 'data', 'metadata.json'),
+
+  // How long to wait for the metadata provider, in milliseconds.
+  metadataTimeoutMs: intFromEnv('METADATA_TIMEOUT_MS', 5000),
+
+  // Where uploaded files (book covers) are stored: "local" keeps them in UPLOAD_DIR, served
+  // under UPLOAD_URL.
+  storageDriver: process.env.STORAGE_DRIVER || 'local',
+  uploadDir: process.env.UPLOAD_DIR || path.join(__dirname, 'uploads'),
+  uploadUrl: process.env.UPLOAD_URL || '/uploads',
+
+  // Largest accepted book cover upload, in bytes.
+  coverMaxBytes: intFromEnv('COVER_MAX_BYTES', 5 * 1024 * 1024),
+
+  // Whether this instance runs the scheduled jobs (set SCHEDULER_ENABLED=false to turn them off),
+  // and how often it looks for jobs that are due, in seconds.
+  schedulerEnabled: process.env.SCHEDULER_ENABLED !== 'false',
+  schedulerPollSeconds: intFromEnv('SCHEDULER_POLL_SECONDS', 60),
+
+  // How patron emails are sent: "smtp" through SMTP_HOST, "file" to write each message to MAIL_DIR
+  // as an .eml file, or "console" to print them (the default, for local development).
+  mailTransport: process.env.MAIL_TRANSPORT || 'console',
+  mailFrom: process.env.MAIL_FROM || 'Local Library <library@localhost>',
+  mailDir: process.env.MAIL_DIR || path.join(__dirname, 'mail'),
+  smtpHost: process.env.SMTP_HOST || 'localhost',
+  smtpPort: intFromEnv('SMTP_PORT', 587),
+  smtpSecure: process.env.SMTP_SECURE === 'true',
+  smtpUser: process.env.SMTP_USER || '',
+  smtpPassword: process.env.SMTP_PASSWORD || '',
+
+  // Address of the library site, used for the links in emails.
+  appUrl: (process.env.APP_URL || 'http://localhost:3000').replace(/\/+$/, ''),
+
+  // Number of days before the due date a patron is reminded to bring a copy back.
+  dueSoonDays: intFromEnv('DUE_SOON_DAYS', 2),
+
+  // Secret used to sign session cookies. SESSION_SECRET is required in production.
+  sessionSecret: process.env.SESSION_SECRET || 'local-library-development-secret',
+};
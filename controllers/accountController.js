@@ -0,0 +1,165 @@
+const User = require('../models/user');
+const Patron = require('../models/patron');
+
+const asyncHandler = require('express-async-handler');
+const { body, validationResult } = require('express-validator');
+
+const ROLES = ['admin', 'librarian', 'patron'];
+
+// Get all patrons for the "linked patron" select.
+function allPatrons() {
+  return Patron.find({}, 'first_name family_name card_number')
+    .sort({ family_name: 1, first_name: 1 })
+    .exec();
+}
+
+// Display list of all accounts.
+exports.account_list = asyncHandler(async (req, res, next) => {
+  const allUsers = await User.find({}, 'username role patron')
+    .sort({ username: 1 })
+    .populate('patron')
+    .exec();
+
+  res.render('account_list', { title: 'Account List', account_list: allUsers });
+});
+
+// Display account create form on GET.
+exports.account_create_get = asyncHandler(async (req, res, next) => {
+  res.render('account_form', {
+    title: 'Create Account',
+    roles: ROLES,
+    patron_list: await allPatrons(),
+  });
+});
+
+// Handle account create on POST.
+exports.account_create_post = [
+  body('username')
+    .trim()
+    .notEmpty()
+    .withMessage('Username must be specified')
+    .isAlphanumeric()
+    .withMessage('Username has non-alphanumeric characters'),
+  body('password', 'Password must have at least 8 characters').isLength({ min: 8 }),
+  body('role', 'Invalid role').isIn(ROLES),
+  body('patron').trim().escape(),
+
+  asyncHandler(async (req, res, next) => {
+    const errors = validationResult(req).array();
+
+    const user = new User({
+      username: req.body.username,
+      role: req.body.role,
+      patron: req.body.patron || undefined,
+    });
+
+    if (await User.exists({ username: req.body.username })) {
+      errors.push({ msg: 'This username is already taken' });
+    }
+
+    if (errors.length > 0) {
+      res.render('account_form', {
+        title: 'Create Account',
+        roles: ROLES,
+        patron_list: await allPatrons(),
+        account: user,
+        errors,
+      });
+      return;
+    }
+
+    await user.setPassword(req.body.password);
+    await user.save();
+    res.redirect('/users/accounts');
+  }),
+];
+
+// Display account update form on GET.
+exports.account_update_get = asyncHandler(async (req, res, next) => {
+  const [user, patrons] = await Promise.all([
+    User.findById(req.params.id).exec(),
+    allPatrons(),
+  ]);
+
+  if (user === null) {
+    const err = new Error('Account not found');
+    err.status = 404;
+    return next(err);
+  }
+
+  res.render('account_form', {
+    title: 'Update Account',
+    roles: ROLES,
+    patron_list: patrons,
+    account: user,
+  });
+});
+
+// Handle account update on POST. Leaving the password empty keeps the current one.
+exports.account_update_post = [
+  body('password', 'Password must have at least 8 characters')
+    .optional({ values: 'falsy' })
+    .isLength({ min: 8 }),
+  body('role', 'Invalid role').isIn(ROLES),
+  body('patron').trim().escape(),
+
+  asyncHandler(async (req, res, next) => {
+    const errors = validationResult(req).array();
+    const user = await User.findById(req.params.id).exec();
+
+    if (user === null) {
+      const err = new Error('Account not found');
+      err.status = 404;
+      return next(err);
+    }
+
+    user.role = req.body.role;
+    user.patron = req.body.patron || undefined;
+
+    // Keep at least one administrator around.
+    if (req.user._id.equals(user._id) && user.role !== 'admin') {
+      errors.push({ msg: 'You cannot remove your own admin role' });
+    }
+
+    if (errors.length > 0) {
+      res.render('account_form', {
+        title: 'Update Account',
+        roles: ROLES,
+        patron_list: await allPatrons(),
+        account: user,
+        errors,
+      });
+      return;
+    }
+
+    if (req.body.password) {
+      await user.setPassword(req.body.password);
+    }
+    await user.save();
+    res.redirect('/users/accounts');
+  }),
+];
+
+// Display account delete form on GET.
+exports.account_delete_get = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.params.id).exec();
+
+  if (user === null) {
+    res.redirect('/users/accounts');
+    return;
+  }
+
+  res.render('account_delete', { title: 'Delete Account', account: user });
+});
+
+// Handle account delete on POST.
+exports.account_delete_post = asyncHandler(async (req, res, next) => {
+  if (req.user._id.equals(req.params.id)) {
+    const err = new Error('You cannot delete your own account');
+    err.status = 409;
+    return next(err);
+  }
+
+  await User.findByIdAndDelete(req.params.id);
+  res.redirect('/users/accounts');
+});
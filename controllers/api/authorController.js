@@ -0,0 +1,129 @@
+const Author = require('../../models/author');
+const Book = require('../../models/book');
+
+const authorValidators = require('../../validators/author');
+const serialize = require('../../lib/serializers');
+const audit = require('../../lib/audit');
+const { sendValidationErrors, apiError } = require('./common');
+
+const asyncHandler = require('express-async-handler');
+const { validationResult } = require('express-validator');
+
+// Author fields from a validated request body.
+function authorFields(body) {
+  return {
+    first_name: body.first_name,
+    middle_name: body.middle_name || null,
+    family_name: body.family_name,
+    family_name_first: body.family_name_first,
+    date_of_birth: body.date_of_birth,
+    date_of_death: body.date_of_death,
+    pseudonym_of: body.pseudonym_of,
+  };
+}
+
+// GET list of all authors.
+exports.author_list = asyncHandler(async (req, res, next) => {
+  const allAuthors = await Author.findSorted().exec();
+  res.json(allAuthors.map(serialize.author));
+});
+
+// GET one author with their books and pen names.
+exports.author_detail = asyncHandler(async (req, res, next) => {
+  const [author, booksByAuthor, penNames] = await Promise.all([
+    Author.findById(req.params.id).exec(),
+    Book.find(Book.authorFilter(req.params.id)).exec(),
+    Author.findSorted({ pseudonym_of: req.params.id }).exec(),
+  ]);
+
+  if (author === null) {
+    return next(apiError(404, 'Author not found'));
+  }
+
+  res.json({
+    ...serialize.author(author),
+    pen_names: penNames.map(serialize.author),
+    books: booksByAuthor.map(serialize.book),
+  });
+});
+
+// POST a new author.
+exports.author_create = [
+  ...authorValidators,
+
+  asyncHandler(async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendValidationErrors(res, errors.array());
+    }
+
+    const problem = await Author.pseudonymProblem(req.body.pseudonym_of);
+    if (problem) {
+      return sendValidationErrors(res, [{ path: 'pseudonym_of', msg: problem }]);
+    }
+
+    const author = new Author(authorFields(req.body));
+    await author.save();
+    await audit.created(req.user, author);
+
+    res.status(201).location(`${req.baseUrl}/authors/${author.id}`).json(serialize.author(author));
+  }),
+];
+
+// PUT an author, replacing all their fields.
+exports.author_update = [
+  ...authorValidators,
+
+  asyncHandler(async (req, res, next) => {
+    const current = await Author.findById(req.params.id).exec();
+    if (current === null) {
+      return next(apiError(404, 'Author not found'));
+    }
+
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendValidationErrors(res, errors.array());
+    }
+
+    const problem = await Author.pseudonymProblem(req.body.pseudonym_of, req.params.id);
+    if (problem) {
+      return sendValidationErrors(res, [{ path: 'pseudonym_of', msg: problem }]);
+    }
+
+    const author = await Author.findByIdAndUpdate(
+      req.params.id,
+      { ...authorFields(req.body), $inc: { __v: 1 } },
+      { new: true, runValidators: true }
+    ).exec();
+    await audit.updated(req.user, current, author);
+
+    res.json(serialize.author(author));
+  }),
+];
+
+// DELETE an author. Authors with books or pen names cannot be deleted.
+exports.author_delete = asyncHandler(async (req, res, next) => {
+  const [author, allBooksByAuthor, penNames] = await Promise.all([
+    Author.findById(req.params.id).exec(),
+    Book.find(Book.authorFilter(req.params.id), '_id').exec(),
+    Author.find({ pseudonym_of: req.params.id }, '_id').exec(),
+  ]);
+
+  if (author === null) {
+    return next(apiError(404, 'Author not found'));
+  }
+  if (allBooksByAuthor.length > 0) {
+    return next(apiError(409, 'Delete the books of this author first', {
+      books: allBooksByAuthor.map((book) => book.id),
+    }));
+  }
+  if (penNames.length > 0) {
+    return next(apiError(409, 'Delete or unlink the pen names of this author first', {
+      authors: penNames.map((penName) => penName.id),
+    }));
+  }
+
+  await Author.softDeleteById(req.params.id);
+  await audit.deleted(req.user, author);
+  res.status(204).end();
+});
@@ -0,0 +1,164 @@
+const Book = require('../../models/book');
+const Author = require('../../models/author');
+const Genre = require('../../models/genre');
+const BookInstance = require('../../models/bookinstance');
+
+const bookValidators = require('../../validators/book');
+const serialize = require('../../lib/serializers');
+const audit = require('../../lib/audit');
+const { sendValidationErrors, apiError } = require('./common');
+
+const asyncHandler = require('express-async-handler');
+const { validationResult } = require('express-validator');
+
+// Check that the referenced authors and genres exist. Returns validation-style errors.
+async function checkReferences(body) {
+  const errors = [];
+  const contributorIds = new Set(body.contributors.map((contributor) => contributor.author));
+  const [author, contributorCount, genreCount] = await Promise.all([
+    Author.exists({ _id: body.author }),
+    Author.countDocuments({ _id: { $in: [...contributorIds] } }).exec(),
+    Genre.countDocuments({ _id: { $in: body.genre } }).exec(),
+  ]);
+  if (!author) {
+    errors.push({ path: 'author', msg: 'Author not found' });
+  }
+  if (contributorCount !== contributorIds.size) {
+    errors.push({ path: 'contributors', msg: 'Contributor not found' });
+  }
+  if (genreCount !== body.genre.length) {
+    errors.push({ path: 'genre', msg: 'Genre not found' });
+  }
+  return errors;
+}
+
+// Fields of a book from the sanitized request body. Optional fields left out are cleared.
+function bookFields(body) {
+  return {
+    title: body.title,
+    subtitle: body.subtitle ?? null,
+    author: body.author,
+    contributors: body.contributors,
+    summary: body.summary,
+    publisher: body.publisher ?? null,
+    publication_year: body.publication_year ?? null,
+    language: body.language ?? null,
+    page_count: body.page_count ?? null,
+    edition: body.edition ?? null,
+    series: body.series ?? null,
+    series_number: body.series_number ?? null,
+    isbn: body.isbn,
+    genre: body.genre,
+  };
+}
+
+// GET list of all books.
+exports.book_list = asyncHandler(async (req, res, next) => {
+  const allBooks = await Book.find()
+    .sort({ title: 1 })
+    .populate('author')
+    .populate('contributors.author')
+    .populate('genre')
+    .exec();
+
+  res.json(allBooks.map(serialize.book));
+});
+
+// GET one book with its copies.
+exports.book_detail = asyncHandler(async (req, res, next) => {
+  const [book, bookInstances] = await Promise.all([
+    Book.findById(req.params.id)
+      .populate('author')
+      .populate('contributors.author')
+      .populate('genre')
+      .exec(),
+    BookInstance.find({ book: req.params.id }).exec(),
+  ]);
+
+  if (book === null) {
+    return next(apiError(404, 'Book not found'));
+  }
+
+  res.json({ ...serialize.book(book), copies: bookInstances.map(serialize.bookInstance) });
+});
+
+// POST a new book.
+exports.book_create = [
+  ...bookValidators,
+
+  asyncHandler(async (req, res, next) => {
+    const errors = validationResult(req).array();
+    if (errors.length === 0) {
+      errors.push(...(await checkReferences(req.body)));
+    }
+    if (errors.length > 0) {
+      return sendValidationErrors(res, errors);
+    }
+
+    const existing = await Book.findByIsbn(req.body.isbn);
+    if (existing) {
+      return next(apiError(409, 'A book with this ISBN already exists', { book: existing.id }));
+    }
+
+    const book = new Book(bookFields(req.body));
+    await book.save();
+    await audit.created(req.user, book);
+
+    res.status(201).location(`${req.baseUrl}/books/${book.id}`).json(serialize.book(book));
+  }),
+];
+
+// PUT a book, replacing all its fields.
+exports.book_update = [
+  ...bookValidators,
+
+  asyncHandler(async (req, res, next) => {
+    const current = await Book.findById(req.params.id).exec();
+    if (current === null) {
+      return next(apiError(404, 'Book not found'));
+    }
+
+    const errors = validationResult(req).array();
+    if (errors.length === 0) {
+      errors.push(...(await checkReferences(req.body)));
+    }
+    if (errors.length > 0) {
+      return sendValidationErrors(res, errors);
+    }
+
+    const existing = await Book.findByIsbn(req.body.isbn, req.params.id);
+    if (existing) {
+      return next(apiError(409, 'A book with this ISBN already exists', { book: existing.id }));
+    }
+
+    const book = await Book.findByIdAndUpdate(
+      req.params.id,
+      { ...bookFields(req.body), $inc: { __v: 1 } },
+      { new: true, runValidators: true }
+    ).exec();
+    await audit.updated(req.user, current, book);
+
+    res.json(serialize.book(book));
+  }),
+];
+
+// DELETE a book. Books with copies cannot be deleted.
+exports.book_delete = asyncHandler(async (req, res, next) => {
+  const [book, allInstancesOfBook] = await Promise.all([
+    Book.findById(req.params.id).exec(),
+    BookInstance.find({ book: req.params.id }, '_id').exec(),
+  ]);
+
+  if (book === null) {
+    return next(apiError(404, 'Book not found'));
+  }
+  if (allInstancesOfBook.length > 0) {
+    return next(apiError(409, 'Delete the copies of this book first', {
+      bookinstances: allInstancesOfBook.map((bookInstance) => bookInstance.id),
+    }));
+  }
+
+  await Book.softDeleteById(req.params.id);
+  await audit.deleted(req.user, book);
+  res.status(204).end();
+});
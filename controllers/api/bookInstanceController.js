@@ -0,0 +1,151 @@
+const BookInstance = require('../../models/bookinstance');
+const Book = require('../../models/book');
+
+const bookInstanceValidators = require('../../validators/bookinstance');
+const serialize = require('../../lib/serializers');
+const audit = require('../../lib/audit');
+const { sendValidationErrors, apiError } = require('./common');
+
+const asyncHandler = require('express-async-handler');
+const { validationResult } = require('express-validator');
+
+// GET one bookinstance by its barcode.
+exports.bookinstance_by_barcode = asyncHandler(async (req, res, next) => {
+  const bookInstance = await BookInstance.findOne({ barcode: req.params.barcode.toUpperCase() })
+    .populate('book')
+    .populate('branch')
+    .exec();
+
+  if (bookInstance === null) {
+    return next(apiError(404, 'Book instance not found'));
+  }
+
+  res.json(serialize.bookInstance(bookInstance));
+});
+
+// GET list of all bookinstances.
+exports.bookinstance_list = asyncHandler(async (req, res, next) => {
+  const allBookInstances = await BookInstance.find().populate('book').populate('branch').exec();
+  res.json(allBookInstances.map(serialize.bookInstance));
+});
+
+// GET one bookinstance.
+exports.bookinstance_detail = asyncHandler(async (req, res, next) => {
+  const bookInstance = await BookInstance.findById(req.params.id).populate('book').populate('branch').exec();
+
+  if (bookInstance === null) {
+    return next(apiError(404, 'Book instance not found'));
+  }
+
+  res.json(serialize.bookInstance(bookInstance));
+});
+
+// POST a new bookinstance.
+exports.bookinstance_create = [
+  ...bookInstanceValidators,
+
+  asyncHandler(async (req, res, next) => {
+    const errors = validationResult(req).array();
+    if (errors.length === 0 && !(await Book.exists({ _id: req.body.book }))) {
+      errors.push({ path: 'book', msg: 'Book not found' });
+    }
+    if (errors.length > 0) {
+      return sendValidationErrors(res, errors);
+    }
+
+    const existing = await BookInstance.findByBarcode(req.body.barcode);
+    if (existing) {
+      return next(apiError(409, 'A copy with this barcode already exists', { bookinstance: existing.id }));
+    }
+
+    const bookInstance = new BookInstance({
+      book: req.body.book,
+      imprint: req.body.imprint,
+      barcode: req.body.barcode,
+      call_number: req.body.call_number,
+      branch: req.body.branch,
+      acquired: req.body.acquired,
+      price: req.body.price,
+      condition: req.body.condition,
+      status: req.body.status,
+      due_back: req.body.due_back,
+    });
+    await bookInstance.save();
+    await audit.created(req.user, bookInstance);
+
+    res
+      .status(201)
+      .location(`${req.baseUrl}/bookinstances/${bookInstance.id}`)
+      .json(serialize.bookInstance(bookInstance));
+  }),
+];
+
+// PUT a bookinstance. Loan, hold and transfer details are kept, they change through circulation only.
+exports.bookinstance_update = [
+  ...bookInstanceValidators,
+
+  asyncHandler(async (req, res, next) => {
+    const current = await BookInstance.findById(req.params.id).exec();
+    if (current === null) {
+      return next(apiError(404, 'Book instance not found'));
+    }
+
+    const errors = validationResult(req).array();
+    if (errors.length === 0 && !(await Book.exists({ _id: req.body.book }))) {
+      errors.push({ path: 'book', msg: 'Book not found' });
+    }
+    if (errors.length > 0) {
+      return sendValidationErrors(res, errors);
+    }
+
+    const existing = await BookInstance.findByBarcode(req.body.barcode, req.params.id);
+    if (existing) {
+      return next(apiError(409, 'A copy with this barcode already exists', { bookinstance: existing.id }));
+    }
+
+    const before = current.toObject();
+    current.book = req.body.book;
+    current.imprint = req.body.imprint;
+    current.barcode = req.body.barcode;
+    current.call_number = req.body.call_number;
+    current.acquired = req.body.acquired;
+    current.price = req.body.price;
+    current.condition = req.body.condition;
+    // A copy in transit moves to its new branch when it is received.
+    if (current.status !== 'In transit') {
+      current.branch = req.body.branch;
+    }
+    if (!BookInstance.CIRCULATION_STATUSES.includes(current.status)) {
+      current.status = req.body.status || 'Maintenance';
+      current.due_back = req.body.due_back;
+    }
+    // Open update forms of this copy are now out of date.
+    current.increment();
+    await current.save();
+    await audit.updated(req.user, before, current);
+
+    res.json(serialize.bookInstance(current));
+  }),
+];
+
+// DELETE a bookinstance. Copies on loan, on hold or in transit cannot be deleted.
+exports.bookinstance_delete = asyncHandler(async (req, res, next) => {
+  const bookInstance = await BookInstance.findById(req.params.id).exec();
+
+  if (bookInstance === null) {
+    return next(apiError(404, 'Book instance not found'));
+  }
+  if (bookInstance.status === 'Loaned') {
+    return next(apiError(409, 'Return this copy before deleting it'));
+  }
+  if (bookInstance.status === 'Reserved') {
+    return next(apiError(409, 'Check this copy out or cancel its hold before deleting it'));
+  }
+  if (bookInstance.status === 'In transit') {
+    return next(apiError(409, 'Receive this copy or cancel its transfer before deleting it'));
+  }
+
+  await BookInstance.softDeleteById(req.params.id);
+  await audit.deleted(req.user, bookInstance);
+  res.status(204).end();
+});
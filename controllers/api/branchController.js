@@ -0,0 +1,29 @@
+const Branch = require('../../models/branch');
+const BookInstance = require('../../models/bookinstance');
+
+const serialize = require('../../lib/serializers');
+const { apiError } = require('./common');
+
+const asyncHandler = require('express-async-handler');
+
+// Branches are managed from the admin pages; the API only reads them.
+
+// GET list of all branches.
+exports.branch_list = asyncHandler(async (req, res, next) => {
+  const allBranches = await Branch.find().sort({ name: 1 }).exec();
+  res.json(allBranches.map(serialize.branch));
+});
+
+// GET one branch with its copies.
+exports.branch_detail = asyncHandler(async (req, res, next) => {
+  const [branch, copies] = await Promise.all([
+    Branch.findById(req.params.id).exec(),
+    BookInstance.find({ branch: req.params.id }).exec(),
+  ]);
+
+  if (branch === null) {
+    return next(apiError(404, 'Branch not found'));
+  }
+
+  res.json({ ...serialize.branch(branch), copies: copies.map(serialize.bookInstance) });
+});
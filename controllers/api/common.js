@@ -0,0 +1,16 @@
+// Helpers shared by the JSON API controllers.
+
+// Answer 422 with the express-validator errors (or errors of the same shape).
+exports.sendValidationErrors = (res, errors) => {
+  res.status(422).json({
+    errors: errors.map((error) => ({ field: error.path || null, message: error.msg })),
+  });
+};
+
+// Build an error the API error handler turns into a JSON response.
+exports.apiError = (status, message, details) => {
+  const err = new Error(message);
+  err.status = status;
+  err.details = details;
+  return err;
+};
@@ -0,0 +1,128 @@
+const Genre = require('../../models/genre');
+const Book = require('../../models/book');
+
+const genreValidators = require('../../validators/genre');
+const serialize = require('../../lib/serializers');
+const audit = require('../../lib/audit');
+const { sendValidationErrors, apiError } = require('./common');
+
+const asyncHandler = require('express-async-handler');
+const { validationResult } = require('express-validator');
+
+// GET list of all genres.
+exports.genre_list = asyncHandler(async (req, res, next) => {
+  const allGenres = await Genre.find().sort({ name: 1 }).exec();
+  res.json(allGenres.map(serialize.genre));
+});
+
+// GET one genre with its sub-genres and the books in it or any of its sub-genres.
+exports.genre_detail = asyncHandler(async (req, res, next) => {
+  const [genre, subgenres] = await Promise.all([
+    Genre.findById(req.params.id).exec(),
+    Genre.find({ parent: req.params.id }).sort({ name: 1 }).exec(),
+  ]);
+
+  if (genre === null) {
+    return next(apiError(404, 'Genre not found'));
+  }
+
+  const ids = await Genre.withDescendants(genre._id);
+  const booksInGenre = await Book.find({ genre: { $in: ids } }).exec();
+
+  res.json({
+    ...serialize.genre(genre),
+    subgenres: subgenres.map(serialize.genre),
+    books: booksInGenre.map(serialize.book),
+  });
+});
+
+// POST a new genre. Genre names are unique.
+exports.genre_create = [
+  ...genreValidators,
+
+  asyncHandler(async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendValidationErrors(res, errors.array());
+    }
+
+    const problem = await Genre.parentProblem(req.body.parent);
+    if (problem) {
+      return sendValidationErrors(res, [{ path: 'parent', msg: problem }]);
+    }
+
+    const genreExists = await Genre.findOne({ name: req.body.name }).exec();
+    if (genreExists) {
+      return next(apiError(409, 'A genre with this name already exists', { genre: genreExists.id }));
+    }
+
+    const genre = new Genre({ name: req.body.name, parent: req.body.parent });
+    await genre.save();
+    await audit.created(req.user, genre);
+
+    res.status(201).location(`${req.baseUrl}/genres/${genre.id}`).json(serialize.genre(genre));
+  }),
+];
+
+// PUT a genre.
+exports.genre_update = [
+  ...genreValidators,
+
+  asyncHandler(async (req, res, next) => {
+    const current = await Genre.findById(req.params.id).exec();
+    if (current === null) {
+      return next(apiError(404, 'Genre not found'));
+    }
+
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendValidationErrors(res, errors.array());
+    }
+
+    const problem = await Genre.parentProblem(req.body.parent, req.params.id);
+    if (problem) {
+      return sendValidationErrors(res, [{ path: 'parent', msg: problem }]);
+    }
+
+    const genreExists = await Genre.findOne({ name: req.body.name, _id: { $ne: req.params.id } }).exec();
+    if (genreExists) {
+      return next(apiError(409, 'A genre with this name already exists', { genre: genreExists.id }));
+    }
+
+    const genre = await Genre.findByIdAndUpdate(
+      req.params.id,
+      { name: req.body.name, parent: req.body.parent, $inc: { __v: 1 } },
+      { new: true, runValidators: true }
+    ).exec();
+    await audit.updated(req.user, current, genre);
+
+    res.json(serialize.genre(genre));
+  }),
+];
+
+// DELETE a genre. Genres still used by books or with sub-genres cannot be deleted.
+exports.genre_delete = asyncHandler(async (req, res, next) => {
+  const [genre, allBooksWithGenre, subgenres] = await Promise.all([
+    Genre.findById(req.params.id).exec(),
+    Book.find({ genre: req.params.id }, '_id').exec(),
+    Genre.find({ parent: req.params.id }, '_id').exec(),
+  ]);
+
+  if (genre === null) {
+    return next(apiError(404, 'Genre not found'));
+  }
+  if (allBooksWithGenre.length > 0) {
+    return next(apiError(409, 'Remove this genre from its books first', {
+      books: allBooksWithGenre.map((book) => book.id),
+    }));
+  }
+  if (subgenres.length > 0) {
+    return next(apiError(409, 'Delete or move the sub-genres of this genre first', {
+      genres: subgenres.map((subgenre) => subgenre.id),
+    }));
+  }
+
+  await Genre.softDeleteById(req.params.id);
+  await audit.deleted(req.user, genre);
+  res.status(204).end();
+});
@@ -0,0 +1,89 @@
+const AuditLog = require('../models/auditlog');
+const Author = require('../models/author');
+const Book = require('../models/book');
+const BookInstance = require('../models/bookinstance');
+const Branch = require('../models/branch');
+const Genre = require('../models/genre');
+
+const audit = require('../lib/audit');
+const listing = require('../lib/listing');
+
+const asyncHandler = require('express-async-handler');
+
+// Columns the audit log can be sorted by.
+const AUDIT_SORT_FIELDS = {
+  date: { label: 'Date', field: 'date' },
+  actor: { label: 'User', field: 'actor_name' },
+  entity_type: { label: 'Record type', field: 'entity_type' },
+};
+
+// Display the audit log of the whole catalog, newest first.
+exports.audit_list = asyncHandler(async (req, res, next) => {
+  const options = listing.listOptions({ order: 'desc', ...req.query }, AUDIT_SORT_FIELDS, 'date');
+
+  // Optional filters on record type and action.
+  const entityTypes = AuditLog.schema.path('entity_type').enumValues;
+  const actions = AuditLog.schema.path('action').enumValues;
+  const filters = {
+    entity_type: entityTypes.includes(req.query.entity_type) ? req.query.entity_type : '',
+    action: actions.includes(req.query.action) ? req.query.action : '',
+  };
+  const filter = {};
+  if (filters.entity_type) filter.entity_type = filters.entity_type;
+  if (filters.action) filter.action = filters.action;
+
+  const [entries, total] = await Promise.all([
+    AuditLog.find(filter)
+      .sort(options.sortSpec)
+      .skip(options.skip)
+      .limit(options.limit)
+      .exec(),
+    AuditLog.countDocuments(filter).exec(),
+  ]);
+
+  res.render('audit_list', {
+    title: 'Audit Log',
+    entries,
+    pager: listing.pager(options, total, filters),
+    entity_types: entityTypes,
+    actions,
+  });
+});
+
+// Build a handler showing the history of one record. The history of a deleted record is still shown.
+function historyPage(Model, noun) {
+  return asyncHandler(async (req, res, next) => {
+    const [record, entries] = await Promise.all([
+      Model.findById(req.params.id).exec(),
+      audit.historyFor(Model.modelName, req.params.id),
+    ]);
+
+    if (record === null && entries.length === 0) {
+      const err = new Error(`${noun} not found`);
+      err.status = 404;
+      return next(err);
+    }
+
+    res.render('audit_history', {
+      title: `History of ${noun.toLowerCase()}`,
+      label: entries.length ? entries[0].label : '',
+      record,
+      entries,
+    });
+  });
+}
+
+// Display the change history of a Book.
+exports.book_history = historyPage(Book, 'Book');
+
+// Display the change history of an Author.
+exports.author_history = historyPage(Author, 'Author');
+
+// Display the change history of a Genre.
+exports.genre_history = historyPage(Genre, 'Genre');
+
+// Display the change history of a BookInstance.
+exports.bookinstance_history = historyPage(BookInstance, 'Book instance');
+
+// Display the change history of a Branch.
+exports.branch_history = historyPage(Branch, 'Branch');
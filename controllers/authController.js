@@ -0,0 +1,65 @@
+const { passport } = require('../lib/auth');
+
+const { body, validationResult } = require('express-validator');
+
+// Only follow local redirects after login.
+function safeNext(next) {
+  return typeof next === 'string' && next.startsWith('/') && !next.startsWith('//') ? next : '/catalog';
+}
+
+// Display login form on GET.
+exports.login_get = (req, res, next) => {
+  res.render('login_form', { title: 'Log In', next_url: safeNext(req.query.next) });
+};
+
+// Handle login on POST.
+exports.login_post = [
+  body('username', 'Username must be specified').trim().notEmpty(),
+  body('password', 'Password must be specified').notEmpty(),
+
+  (req, res, next) => {
+    const errors = validationResult(req);
+    const next_url = safeNext(req.body.next);
+
+    if (!errors.isEmpty()) {
+      res.render('login_form', {
+        title: 'Log In',
+        username: req.body.username,
+        next_url,
+        errors: errors.array(),
+      });
+      return;
+    }
+
+    passport.authenticate('local', (err, user, info) => {
+      if (err) {
+        return next(err);
+      }
+      if (!user) {
+        res.render('login_form', {
+          title: 'Log In',
+          username: req.body.username,
+          next_url,
+          errors: [{ msg: info.message }],
+        });
+        return;
+      }
+      req.login(user, (err) => {
+        if (err) {
+          return next(err);
+        }
+        res.redirect(next_url);
+      });
+    })(req, res, next);
+  },
+];
+
+// Handle logout on POST.
+exports.logout_post = (req, res, next) => {
+  req.logout((err) => {
+    if (err) {
+      return next(err);
+    }
+    res.redirect('/catalog');
+  });
+};
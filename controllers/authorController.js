@@ -1,20 +1,88 @@
 const Author = require('../models/author');
 const Book = require('../models/book');
 
+const authorValidators = require('../validators/author');
+const listing = require('../lib/listing');
+const names = require('../lib/names');
+const audit = require('../lib/audit');
+const concurrency = require('../lib/concurrency');
+const duplicates = require('../lib/duplicates');
+
 const asyncHandler = require('express-async-handler');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
+
+// Columns the author list can be sorted by.
+const AUTHOR_SORT_FIELDS = {
+  family_name: { label: 'Family name', field: 'family_name' },
+  first_name: { label: 'First name', field: 'first_name' },
+  date_of_birth: { label: 'Date of birth', field: 'date_of_birth' },
+  date_of_death: { label: 'Date of death', field: 'date_of_death' },
+};
+
+// Author fields from a validated form.
+function authorFields(body) {
+  return {
+    first_name: body.first_name,
+    middle_name: body.middle_name,
+    family_name: body.family_name,
+    family_name_first: body.family_name_first,
+    date_of_birth: body.date_of_birth,
+    date_of_death: body.date_of_death,
+    pseudonym_of: body.pseudonym_of,
+  };
+}
+
+// Authors that can be chosen as the real author of a pen name: not pen names themselves, and not
+// the author being edited.
+function realAuthors(id = null) {
+  const filter = { pseudonym_of: null };
+  if (id) {
+    filter._id = { $ne: id };
+  }
+  return Author.findSorted(filter, 'first_name middle_name family_name family_name_first').exec();
+}
 
 // Display list of all Authors
 exports.author_list = asyncHandler(async(req, res, next) => {
-  const allAuthors = await Author.find().exec();
-  res.render('author_list', {title: 'Author List', author_list: allAuthors});
+  const options = listing.listOptions(req.query, AUTHOR_SORT_FIELDS, 'family_name');
+
+  // Optional filter on living or deceased authors.
+  const filters = {
+    living: ['alive', 'deceased'].includes(req.query.living) ? req.query.living : '',
+  };
+  const filter = {};
+  if (filters.living === 'alive') filter.date_of_death = null;
+  if (filters.living === 'deceased') filter.date_of_death = { $ne: null };
+
+  // Family names sort like a catalog: ties go to the given and middle names.
+  const direction = options.order === 'desc' ? -1 : 1;
+  const sortSpec = options.sort === 'family_name'
+    ? { family_name: direction, first_name: direction, middle_name: direction, _id: 1 }
+    : options.sortSpec;
+
+  const [allAuthors, total] = await Promise.all([
+    Author.find(filter)
+      .sort(sortSpec)
+      .collation(names.COLLATION)
+      .skip(options.skip)
+      .limit(options.limit)
+      .exec(),
+    Author.countDocuments(filter).exec(),
+  ]);
+
+  res.render('author_list', {
+    title: 'Author List',
+    author_list: allAuthors,
+    pager: listing.pager(options, total, filters),
+  });
 });
 
 // Display detail page for a sepecific Auhor.
 exports.author_detail = asyncHandler(async(req, res, next) => {
-  const [author, booksByAuthor] = await Promise.all([
-    Author.findById(req.params.id).exec(),
-    Book.find({ author: req.params.id }, 'title summary').exec(),
+  const [author, booksByAuthor, penNames] = await Promise.all([
+    Author.findById(req.params.id).populate('pseudonym_of').exec(),
+    Book.find(Book.authorFilter(req.params.id), 'title summary').exec(),
+    Author.findSorted({ pseudonym_of: req.params.id }).exec(),
   ]);
 
   if (author === null) {
@@ -26,69 +94,65 @@ exports.author_detail = asyncHandler(async(req, res, next) => {
     title: 'Author Detail',
     author,
     booksByAuthor,
+    pen_names: penNames,
   });
 });
 
 // Display Author create form on GET.
-exports.author_create_get = (req, res, next) => {
-  res.render('author_form', { title: 'Create Author' })
-};
+exports.author_create_get = asyncHandler(async (req, res, next) => {
+  res.render('author_form', { title: 'Create Author', real_authors: await realAuthors() });
+});
 
 // Handle Author create on POST.
 exports.author_create_post = [
-  
-  body('first_name')
-    .trim()
-    .notEmpty()
-    .escape()
-    .withMessage('First name must be specified')
-    .isAlphanumeric()
-    .withMessage('First name has non-alphanumeric characters'),
-
-  body('family_name')
-    .trim()
-    .notEmpty()
-    .escape()
-    .withMessage('Family name must be specified')
-    .isAlphanumeric()
-    .withMessage('Family name has non-alphanumeric characters'),
-
-  body('date_of_birth', 'Invalid date of birth')
-    .optional( {values: 'falsy' })
-    .isISO8601()
-    .toDate(),
-  
-  body('date_of_death', 'Invalid date of death')
-    .optional( {values: 'falsy' })
-    .isISO8601()
-    .toDate(),
+  // Validate and sanitize fields.
+  ...authorValidators,
 
   // Process requests after validation and sanitization.
   asyncHandler(async (req, res, next) => {
     // Extract the validation errors from the request
     const errors = validationResult(req);
 
-    // Create Author object with escaped and trimmed data.
-    const author = new Author({
-      first_name: req.body.first_name,
-      family_name: req.body.family_name,
-      date_of_birth: req.body.date_of_birth,
-      date_of_death: req.body.date_of_death,
-    });
+    // Create Author object with trimmed data.
+    const author = new Author(authorFields(req.body));
+
+    const errorList = errors.array();
+    if (errors.isEmpty()) {
+      const problem = await Author.pseudonymProblem(author.pseudonym_of);
+      if (problem) {
+        errorList.push({ msg: problem });
+      }
+    }
 
-    if (!errors.isEmpty()) {
+    if (errorList.length > 0) {
       // There are errors. Render form again with sanitized values / errors messages.
       res.render('author_form', { 
         title: 'Create Author',
-        errors: errors.array(),
+        errors: errorList,
         author,
+        real_authors: await realAuthors(),
       });
       return;
     } else {
       // Data form is valid
 
+      // Ask before adding an author that looks like one already in the catalog.
+      if (!req.body.confirm_duplicate) {
+        const similar = await duplicates.similarAuthors(author);
+        if (similar.length > 0) {
+          res.render('author_form', {
+            title: 'Create Author',
+            author,
+            similar_authors: similar,
+            real_authors: await realAuthors(),
+          });
+          return;
+        }
+      }
+
       // Save author
       await author.save();
+      await audit.created(req.user, author);
       // Redirect to new author record
       res.redirect(author.url);
     }
@@ -97,118 +161,260 @@ exports.author_create_post = [
 
 // Display Author delete form on GET.
 exports.author_delete_get = asyncHandler(async(req, res, next) => {
-  // Get details of author and all their books (in parallel)
-  const [author, allBooksByAuthor] = await Promise.all([
+  // Get details of author, all their books and their pen names (in parallel)
+  const [author, allBooksByAuthor, penNames] = await Promise.all([
     Author.findById(req.params.id).exec(),
-    Book.find({ author: req.params.id }, 'title summary').exec(),
+    Book.find(Book.authorFilter(req.params.id), 'title summary').exec(),
+    Author.findSorted({ pseudonym_of: req.params.id }).exec(),
   ]);
  
   if (author === null) {
     // No results.
     res.redirect('/catalog/authors');
+    return;
   }
 
   res.render('author_delete', {
     title: 'Delete Author',
     author: author,
     author_books: allBooksByAuthor,
+    pen_names: penNames,
   });
 });
 
 // Handle Author delete on POST.
 exports.author_delete_post = asyncHandler(async(req, res, next) => {
-  const [author, allBooksByAuthor] = await Promise.all([
+  const [author, allBooksByAuthor, penNames] = await Promise.all([
     Author.findById(req.params.id).exec(),
-    Book.find({ author: req.params.id }, 'title summary').exec(),
+    Book.find(Book.authorFilter(req.params.id), 'title summary').exec(),
+    Author.findSorted({ pseudonym_of: req.params.id }).exec(),
   ]);
 
-  if (allBooksByAuthor.length > 0) {
-    // Author has books. Render in same way as for GET route.
+  if (author === null) {
+    res.redirect('/catalog/authors');
+    return;
+  }
+
+  if (allBooksByAuthor.length > 0 || penNames.length > 0) {
+    // Author has books or pen names. Render in same way as for GET route.
     res.render('author_delete', {
       title: 'Delete Author',
       author: author,
       author_books: allBooksByAuthor,
+      pen_names: penNames,
     });
     return;
   } else {
-    // Author has no books. Delete object and redirect to the list of authors.
-    await Author.findByIdAndRemove(req.body.authorid);
+    // Author has no books nor pen names. Delete object and redirect to the list of authors.
+    const deletedAuthor = await Author.softDeleteById(req.body.authorid);
+    await audit.deleted(req.user, deletedAuthor);
     res.redirect('/catalog/authors');
   }
 });
 
 // Display Author update form on GET.
 exports.author_update_get = asyncHandler(async (req, res, next) => {
-  const author = await Author.findById(req.params.id);
+  const [author, real_authors] = await Promise.all([
+    Author.findById(req.params.id),
+    realAuthors(req.params.id),
+  ]);
 
   if (author == null) {
-    // genre not found send 404 error
+    // author not found send 404 error
     const err = new Error('Author not found');
-    res.status = 404;
+    err.status = 404;
     return next(err);
   }
 
-  res.render('author_form', {title: 'Update Author', author});
+  res.render('author_form', { title: 'Update Author', author, real_authors });
 });
 
+// Fields of the author form, for showing conflicting edits.
+const AUTHOR_FIELDS = {
+  first_name: 'First name',
+  middle_name: 'Middle name',
+  family_name: 'Family name',
+  family_name_first: 'Family name first',
+  date_of_birth: 'Date of birth',
+  date_of_death: 'Date of death',
+  pseudonym_of: 'Pen name of',
+};
+
 // Handle Author update on POST.
 exports.author_update_post = [
-
-  body('first_name')
-    .trim()
-    .notEmpty()
-    .escape()
-    .withMessage('First name must be specified')
-    .isAlphanumeric()
-    .withMessage('First name has non-alphanumeric characters'),
-
-  body('family_name')
-    .trim()
-    .notEmpty()
-    .escape()
-    .withMessage('Family name must be specified')
-    .isAlphanumeric()
-    .withMessage('Family name has non-alphanumeric characters'),
-
-  body('date_of_birth', 'Invalid date of birth')
-    .optional( {values: 'falsy' })
-    .isISO8601()
-    .toDate(),
-  
-  body('date_of_death', 'Invalid date of death')
-    .optional( {values: 'falsy' })
-    .isISO8601()
-    .toDate(),
+  // Validate and sanitize fields.
+  ...authorValidators,
+  concurrency.versionField,
 
   // Process requests after validation and sanitization.
   asyncHandler(async (req, res, next) => {
     // Extract the validation errors from the request
     const errors = validationResult(req);
 
-    // Update Author object with escaped and trimmed data and old id.
+    // Update Author object with trimmed data, old id and the version the form was loaded from.
     const author = new Author({
-      first_name: req.body.first_name,
-      family_name: req.body.family_name,
-      date_of_birth: req.body.date_of_birth,
-      date_of_death: req.body.date_of_death,
+      ...authorFields(req.body),
       _id: req.params.id,
+      __v: req.body.version,
     });
 
-    if (!errors.isEmpty()) {
+    const errorList = errors.array();
+    if (errors.isEmpty()) {
+      const problem = await Author.pseudonymProblem(author.pseudonym_of, req.params.id);
+      if (problem) {
+        errorList.push({ msg: problem });
+      }
+    }
+
+    if (errorList.length > 0) {
       // There are errors. Render form again with sanitized values / errors messages.
       res.render('author_form', { 
-        title: 'Create Author',
-        errors: errors.array(),
+        title: 'Update Author',
+        errors: errorList,
         author,
+        real_authors: await realAuthors(req.params.id),
       });
       return;
     } else {
       // Data form is valid
 
-      // Update author
-      const updatedAuthor = await Author.findByIdAndUpdate(req.params.id, author, {});
-      // Redirect to new author record
-      res.redirect(updatedAuthor.url);
+      // Update author, unless someone saved them since the form was loaded.
+      const updatedAuthor = await concurrency.updateIfCurrent(Author, req.params.id, req.body.version, author);
+      if (updatedAuthor !== null) {
+        await audit.updated(req.user, updatedAuthor, author);
+        // Redirect to new author record
+        res.redirect(updatedAuthor.url);
+        return;
+      }
+
+      const current = await Author.findById(req.params.id).exec();
+      if (current === null) {
+        const err = new Error('Author not found');
+        err.status = 404;
+        return next(err);
+      }
+      // Show both versions. Submitting the form again overwrites the other changes.
+      const realIds = [current.pseudonym_of, author.pseudonym_of].filter(Boolean);
+      const realNames = await Author.find({ _id: { $in: realIds } }).setOptions({ withDeleted: true }).exec();
+      const conflict = await concurrency.conflict(current, author, AUTHOR_FIELDS, (field, value) => {
+        if (field.startsWith('date_of_')) {
+          return value.slice(0, 10);
+        }
+        if (field === 'pseudonym_of') {
+          const real = realNames.find((item) => item._id.equals(value));
+          return real ? real.name : value;
+        }
+        if (field === 'family_name_first') {
+          return value ? 'Yes' : 'No';
+        }
+        return value;
+      });
+      author.__v = current.__v;
+      res.render('author_form', {
+        title: 'Update Author',
+        author,
+        conflict,
+        real_authors: await realAuthors(req.params.id),
+      });
+    }
+  }),
+];
+
+// Display the authors that are probably duplicates of one another.
+exports.author_duplicates = asyncHandler(async (req, res, next) => {
+  const candidates = await duplicates.authorCandidates();
+
+  // Number of books of each author in the report.
+  const ids = [...new Set(candidates.flatMap((candidate) => candidate.authors.map((author) => author.id)))];
+  const counts = await Promise.all(ids.map((id) => Book.countDocuments(Book.authorFilter(id)).exec()));
+  const bookCounts = Object.fromEntries(ids.map((id, index) => [id, counts[index]]));
+
+  res.render('author_duplicates', {
+    title: 'Possible duplicate authors',
+    candidates,
+    book_counts: bookCounts,
+  });
+});
+
+// Show what merging `duplicate` into `survivor` changes, with the errors of a failed merge.
+async function renderMerge(res, survivor, duplicate, errors = []) {
+  const [survivorBooks, duplicateBooks, hasPenNames] = await Promise.all([
+    Book.find(Book.authorFilter(survivor._id), 'title').exec(),
+    Book.find(Book.authorFilter(duplicate._id), 'title').exec(),
+    duplicates.penNamesAfterMerge(survivor, duplicate),
+  ]);
+
+  res.render('author_merge', {
+    title: 'Merge Authors',
+    survivor,
+    duplicate,
+    merged: new Author(duplicates.mergedFields(survivor, duplicate, hasPenNames)),
+    survivor_books: survivorBooks,
+    duplicate_books: duplicateBooks,
+    // Books listing both authors count once.
+    merged_book_count: new Set([...survivorBooks, ...duplicateBooks].map((book) => book.id)).size,
+    errors,
+  });
+}
+
+// Load the author kept by a merge and the duplicate merged into it, or fail with a 404.
+async function loadMerge(req, duplicateId) {
+  const [survivor, duplicate] = await Promise.all([
+    Author.findById(req.params.id).exec(),
+    Author.findById(duplicateId).exec(),
+  ]);
+  if (survivor === null || duplicate === null || survivor._id.equals(duplicate._id)) {
+    const err = new Error('Author not found');
+    err.status = 404;
+    throw err;
+  }
+  return { survivor, duplicate };
+}
+
+// Display the merge of a duplicate author into this one on GET.
+exports.author_merge_get = [
+  query('duplicate').isMongoId(),
+
+  asyncHandler(async (req, res, next) => {
+    if (!validationResult(req).isEmpty()) {
+      const err = new Error('Author not found');
+      err.status = 404;
+      return next(err);
+    }
+
+    const { survivor, duplicate } = await loadMerge(req, req.query.duplicate);
+    await renderMerge(res, survivor, duplicate);
+  }),
+];
+
+// Handle the merge of a duplicate author into this one on POST.
+exports.author_merge_post = [
+  body('duplicate').isMongoId(),
+
+  asyncHandler(async (req, res, next) => {
+    if (!validationResult(req).isEmpty()) {
+      const err = new Error('Author not found');
+      err.status = 404;
+      return next(err);
+    }
+
+    const { survivor, duplicate } = await loadMerge(req, req.body.duplicate);
+    let result;
+    try {
+      result = await duplicates.mergeAuthors(survivor._id, duplicate._id, req.user);
+    } catch (err) {
+      if (err.status !== 503) {
+        throw err;
+      }
+      // The database cannot run the merge; nothing was changed.
+      await renderMerge(res, survivor, duplicate, [{ msg: err.message }]);
+      return;
+    }
+    if (result === null) {
+      const err = new Error('Author not found');
+      err.status = 404;
+      return next(err);
     }
+    res.redirect(result.author.url);
   }),
 ];
@@ -2,7 +2,19 @@ const Book = require('../models/book');
 const Author = require('../models/author');
 const Genre = require('../models/genre');
 const BookInstance = require('../models/bookinstance');
-
+const Hold = require('../models/hold');
+const Branch = require('../models/branch');
+
+const bookValidators = require('../validators/book');
+const listing = require('../lib/listing');
+const audit = require('../lib/audit');
+const concurrency = require('../lib/concurrency');
+const metadata = require('../lib/metadata');
+const covers = require('../lib/covers');
+const isbn = require('../lib/isbn');
+const { plain } = require('../lib/entities');
+
+const mongoose = require('mongoose');
 const asyncHandler = require('express-async-handler');
 const { body, validationResult } = require('express-validator');
 
@@ -32,22 +44,65 @@ exports.index = asyncHandler(async (req, res, next) => {
   });
 });
 
+// Columns the book list can be sorted by.
+const BOOK_SORT_FIELDS = {
+  title: { label: 'Title', field: 'title' },
+  isbn: { label: 'ISBN', field: 'isbn' },
+  added: { label: 'Date added', field: '_id' },
+};
+
 // Display list of all books.
 exports.book_list = asyncHandler(async (req, res, next) => {
-  const allBooks = await Book.find({}, 'title author')
-    .sort({ title: 1 })
-    .populate('author')
-    .exec();
+  const options = listing.listOptions(req.query, BOOK_SORT_FIELDS, 'title');
+
+  // Optional filters on genre, author and the branch holding copies.
+  const filters = {
+    genre: mongoose.isObjectIdOrHexString(req.query.genre) ? req.query.genre : '',
+    author: mongoose.isObjectIdOrHexString(req.query.author) ? req.query.author : '',
+    branch: mongoose.isObjectIdOrHexString(req.query.branch) ? req.query.branch : '',
+  };
+  const filter = {};
+  if (filters.genre) filter.genre = filters.genre;
+  if (filters.author) Object.assign(filter, Book.authorFilter(filters.author));
+  if (filters.branch) filter._id = { $in: await BookInstance.distinct('book', { branch: filters.branch }).exec() };
+
+  const [allBooks, total, authors, genres, branches] = await Promise.all([
+    Book.find(filter, 'title author')
+      .sort(options.sortSpec)
+      .skip(options.skip)
+      .limit(options.limit)
+      .populate('author')
+      .exec(),
+    Book.countDocuments(filter).exec(),
+    Author.findSorted({}, 'first_name middle_name family_name family_name_first').exec(),
+    Genre.find({}, 'name').sort({ name: 1 }).exec(),
+    Branch.find({}, 'name').sort({ name: 1 }).exec(),
+  ]);
 
-  res.render('book_list', { title: 'Book list', book_list: allBooks});
+  res.render('book_list', {
+    title: 'Book list',
+    book_list: allBooks,
+    pager: listing.pager(options, total, filters),
+    authors,
+    genres,
+    branches,
+  });
 });
 
 // Display detail page for a specific book.
 exports.book_detail = asyncHandler(async (req, res, next) => {
   // Get details of books, book instances for specific book
-  const [book, bookInstances] = await Promise.all([
-    Book.findById(req.params.id).populate('author').populate('genre').exec(),
-    BookInstance.find({ book: req.params.id }).exec(),
+  const [book, bookInstances, holds] = await Promise.all([
+    Book.findById(req.params.id)
+      .populate('author')
+      .populate('contributors.author')
+      .populate('genre')
+      .exec(),
+    BookInstance.find({ book: req.params.id }).populate('branch', 'name').exec(),
+    Hold.find({ book: req.params.id, status: { $in: ['Waiting', 'Ready'] } })
+      .sort({ placed: 1 })
+      .populate('patron')
+      .exec(),
   ]);
   if (book === null) {
     // No results.
@@ -55,17 +110,79 @@ exports.book_detail = asyncHandler(async (req, res, next) => {
     err.status = 404;
     return next(err);
   }
+
+  // Number of copies and available copies at each branch.
+  const availability = new Map();
+  for (const bookInstance of bookInstances) {
+    const key = bookInstance.branch ? bookInstance.branch.id : '';
+    if (!availability.has(key)) {
+      availability.set(key, { branch: bookInstance.branch, copies: 0, available: 0 });
+    }
+    const entry = availability.get(key);
+    entry.copies += 1;
+    if (bookInstance.status === 'Available') {
+      entry.available += 1;
+    }
+  }
+
   res.render('book_detail', {
     title: book.title,
     book,
     bookInstances,
+    availability: [...availability.values()].sort((a, b) =>
+      (a.branch ? a.branch.name : '').localeCompare(b.branch ? b.branch.name : '')
+    ),
+    holds,
   });
 });
 
+// Fields of a book from the sanitized create or update form.
+function bookFields(body) {
+  return {
+    title: body.title,
+    subtitle: body.subtitle,
+    author: body.author,
+    contributors: body.contributors,
+    summary: body.summary,
+    publisher: body.publisher,
+    publication_year: body.publication_year,
+    language: body.language,
+    page_count: body.page_count,
+    edition: body.edition,
+    series: body.series,
+    series_number: body.series_number,
+    isbn: body.isbn,
+    genre: typeof body.genre === 'undefined' ? [] : body.genre,
+  };
+}
+
+// Form errors of the cover upload, if any.
+async function coverErrors(req) {
+  if (req.coverError) {
+    return [{ path: 'cover', msg: req.coverError }];
+  }
+  const problem = req.file ? await covers.check(req.file) : null;
+  return problem ? [{ path: 'cover', msg: problem }] : [];
+}
+
+// Form error pointing to the book that already uses an ISBN. The form escapes messages, so they
+// carry the plain title; the view links to the book.
+function duplicateIsbnError(existing) {
+  const title = plain(existing.title);
+  if (existing.is_deleted) {
+    return { path: 'isbn', msg: `This ISBN belongs to ${title}, which is in the trash` };
+  }
+  return {
+    path: 'isbn',
+    msg: 'This ISBN is already in the catalog:',
+    link: { url: existing.url, text: title },
+  };
+}
+
 // Display book create form on GET.
 exports.book_create_get = asyncHandler(async (req, res, next) => {
   const [authors, genres] = await Promise.all([
-    Author.find().exec(),
+    Author.findSorted().exec(),
     Genre.find().exec(),
   ]);
 
@@ -73,62 +190,113 @@ exports.book_create_get = asyncHandler(async (req, res, next) => {
     title: 'Create Book',
     authors,
     genres,
+    autofill: true,
   });
 });
 
-// Handle book create on POST.
-exports.book_create_post = [
-  (req, res, next) => {
-    if (!(req.body.genre instanceof Array)) {
-      if (typeof req.body.genre === 'undefined') req.body.genre = [];
-      else req.body.genre = new Array(req.body.genre);
-    }
-    next();
-  },
-
-  // Validate and sanitize fields
-  body('title', 'Title must not be empty.')
+// Fill in the book create form from the metadata of an ISBN on POST.
+// The author and genres of the book are matched in the catalog, or created.
+exports.book_autofill_post = [
+  body('isbn')
     .trim()
     .notEmpty()
-    .escape(),
+    .withMessage('ISBN must not be empty')
+    .bail()
+    .custom(isbn.isValid)
+    .withMessage('ISBN is not a valid ISBN-10 or ISBN-13')
+    .customSanitizer((value) => isbn.normalize(value) || value),
+
+  asyncHandler(async (req, res, next) => {
+    const errors = validationResult(req).array();
+    const book = new Book({ isbn: req.body.isbn });
+    let messages = [];
+
+    if (errors.length === 0) {
+      const existing = await Book.findByIsbn(book.isbn);
+      if (existing) {
+        errors.push(duplicateIsbnError(existing));
+      }
+    }
 
-  body('author', 'Author must not be empty.')
-    .trim()
-    .notEmpty()
-    .escape(),
+    if (errors.length === 0) {
+      let record = null;
+      try {
+        record = await metadata.lookup(book.isbn);
+      } catch (err) {
+        errors.push({ msg: `The book metadata could not be fetched: ${err.message}` });
+      }
 
-  body('summary', 'Summary must not be empty')
-    .trim()
-    .notEmpty()
-    .escape(),
+      if (record !== null) {
+        const resolved = await metadata.resolve(record, req.user);
+        book.title = record.title;
+        book.subtitle = record.subtitle;
+        book.summary = record.summary;
+        book.publisher = record.publisher;
+        book.publication_year = record.publication_year;
+        book.page_count = record.page_count;
+        book.author = resolved.author ? resolved.author._id : undefined;
+        book.genre = resolved.genres.map((genre) => genre._id);
+        messages = [`Filled in from the metadata of ISBN ${book.isbn}`, ...resolved.messages];
+      } else if (errors.length === 0) {
+        errors.push({ msg: `No metadata was found for ISBN ${book.isbn}` });
+      }
+    }
 
-  body('isbn', 'ISBN must not be empty')
-    .trim()
-    .notEmpty()
-    .escape(),
+    // Get all authors and genres for form (including any just created).
+    const [authors, genres] = await Promise.all([
+      Author.findSorted().exec(),
+      Genre.find().exec(),
+    ]);
 
-  body('genre.*').escape(),
+    // Mark selected genres as checked.
+    for (const genre of genres) {
+      if (book.genre.indexOf(genre._id) > -1) {
+        genre.checked = 'true';
+      }
+    }
+
+    res.render('book_form', {
+      title: 'Create Book',
+      authors,
+      genres,
+      book,
+      errors,
+      messages,
+      autofill: true,
+    });
+  }),
+];
+
+// Handle book create on POST.
+exports.book_create_post = [
+  // Read the multipart form and its optional cover image.
+  covers.upload,
+
+  // Validate and sanitize fields.
+  ...bookValidators,
 
   // Process request after validation and sanitization.
   asyncHandler(async(req, res, next) => {
     // Extract the validation errors from a request.
-    const errors = validationResult(req);
+    const errors = validationResult(req).array();
 
     // Create a Book with escaped and trimmed data.
-    const book = new Book({
-      title: req.body.title,
-      author: req.body.author,
-      summary: req.body.summary,
-      isbn: req.body.isbn,
-      genre: req.body.genre,
-    });
+    const book = new Book(bookFields(req.body));
+
+    // Each edition may only be entered once.
+    const existing = await Book.findByIsbn(book.isbn);
+    if (existing) {
+      errors.push(duplicateIsbnError(existing));
+    }
 
-    if (!errors.isEmpty()) {
+    errors.push(...(await coverErrors(req)));
+
+    if (errors.length > 0) {
       // There are errors. Render form again with sanitized values/error messages.
 
       // Get all authors and genres for form
       const [authors, genres] = await Promise.all([
-        Author.find().exec(),
+        Author.findSorted().exec(),
         Genre.find().exec(),
       ]);
 
@@ -141,14 +309,19 @@ exports.book_create_post = [
       
       res.render('book_form', {
         title: 'Create Book',
-        errors: errors.array(),
+        errors,
         authors,
         genres,
         book,
+        autofill: true,
       });
     } else {
-      // Data form is valid, save book.
+      // Data form is valid, save book with its cover.
+      if (req.file) {
+        book.cover = await covers.store(book._id, req.file.buffer);
+      }
       await book.save();
+      await audit.created(req.user, book);
       res.redirect(book.url);
     }
   }),
@@ -189,7 +362,13 @@ exports.book_delete_post = asyncHandler(async (req, res, next) => {
       bookinstances: allInstancesOfBook,
     })
   } else {
-    await Book.findByIdAndDelete(req.params.id);
+    // Nobody can pick up a book without copies, so drop its queue as well.
+    await Hold.updateMany(
+      { book: req.params.id, status: 'Waiting' },
+      { status: 'Cancelled' }
+    ).exec();
+    const deletedBook = await Book.softDeleteById(req.params.id);
+    await audit.deleted(req.user, deletedBook);
     res.redirect('/catalog/books');
   }
 });
@@ -199,7 +378,7 @@ exports.book_update_get = asyncHandler(async (req, res, next) => {
   // Get book, authors and genres for form.
   const [book, allAuthors, allGenres] = await Promise.all([
     Book.findById(req.params.id).populate('author').populate('genre').exec(),
-    Author.find().exec(),
+    Author.findSorted().exec(),
     Genre.find().exec(),
   ]);
 
@@ -227,70 +406,125 @@ exports.book_update_get = asyncHandler(async (req, res, next) => {
   });
 });
 
+// Fields of the book form, for showing conflicting edits.
+const BOOK_FIELDS = {
+  title: 'Title',
+  subtitle: 'Subtitle',
+  author: 'Author',
+  contributors: 'Contributors',
+  summary: 'Summary',
+  publisher: 'Publisher',
+  publication_year: 'Publication year',
+  language: 'Language',
+  page_count: 'Pages',
+  edition: 'Edition',
+  series: 'Series',
+  series_number: 'Number in series',
+  isbn: 'ISBN',
+  genre: 'Genre',
+};
+
 // Handle book update on POST.
 exports.book_update_post = [
-  // Convert the genre to an array.
-  (req, res, next) => {
-    if (!(req.body.genre instanceof Array)) {
-      if (typeof req.body.genre === 'undefined') {
-        req.body.genre = [];
-      } else {
-        req.body.genre = new Array(req.body.genre);
-      }
-    }
-    next();
-  },
+  // Read the multipart form and its optional cover image.
+  covers.upload,
 
-  // Validate and sanitize fields
-  body('title', 'Title must not be empty').trim().notEmpty().escape(),
-  body('author', 'Author must not be empty').trim().notEmpty().escape(),
-  body('summary', 'Summary must not be empty').trim().notEmpty().escape(),
-  body('isbn', 'ISBN must not be empty').trim().notEmpty().escape(),
-  body('genre.*').escape(),
+  // Validate and sanitize fields.
+  ...bookValidators,
+  concurrency.versionField,
 
   // Process request after data validation and sanitization.
   asyncHandler(async(req, res, next) => {
     // Extract the validation errors from a request.
-    const errors = validationResult(req);
+    const errors = validationResult(req).array();
 
-    // Create a Book object with escaped/trimmed data and old id.
+    // Create a Book object with escaped/trimmed data, old id and the version the form was loaded from.
     const book = new Book({
-      title: req.body.title,
-      author: req.body.author,
-      summary: req.body.summary,
-      isbn: req.body.isbn,
-      genre: typeof req.body.genre === 'undefined' ? [] : req.body.genre,
+      ...bookFields(req.body),
       _id: req.params.id, // This is required, or a new ID will be asigned!
+      __v: req.body.version,
     });
 
-    if (!errors.isEmpty) {
-      // There are errors in the form. Render the form again with sanitized values/error messages
+    // Each edition may only be entered once.
+    const existing = await Book.findByIsbn(book.isbn, req.params.id);
+    if (existing) {
+      errors.push(duplicateIsbnError(existing));
+    }
 
-      // Get all authors and genres for form
-      const [allAuthors, allGenres] = await Promise.all([
-        Author.find().exec(),
-        Genre.find().exec(),
-      ]);
+    errors.push(...(await coverErrors(req)));
 
-      // Mark selected genres as checked
-      for (const genre of allGenres) {
-        if (book.genre.indexOf(genre._id) > -1) {
-          genre.checked = 'true';
+    if (errors.length === 0) {
+      // A new cover replaces the old one; without an upload the cover is kept unless removed.
+      if (req.file) {
+        book.cover = await covers.store(book._id, req.file.buffer);
+      } else if (req.body.remove_cover) {
+        book.cover = null;
+      }
+
+      // Data from form is valid. Update the record, unless someone saved it since the form was loaded.
+      const thebook = await concurrency.updateIfCurrent(Book, req.params.id, req.body.version, book);
+      if (thebook !== null) {
+        if (book.cover === undefined) {
+          // The cover was kept.
+          book.cover = thebook.cover;
+        } else {
+          await covers.remove(thebook.cover);
         }
+        await audit.updated(req.user, thebook, book);
+        // Redirect to book detail page.
+        res.redirect(thebook.url);
+        return;
       }
-      res.render('book_form', {
-        title: 'Update Book',
-        authors: allAuthors,
-        genres: allGenres,
-        book: book,
-        errors: errors.array(),
-      });
-      return;
-    } else {
-      // Data from form is valid. Update the record.
-      const thebook = await Book.findByIdAndUpdate(req.params.id, book, {});
-      // Redirect to book detail page.
-      res.redirect(thebook.url);
+
+      // The update did not go through: drop the cover that was just stored.
+      if (req.file) {
+        await covers.remove(book.cover);
+      }
+      book.cover = undefined;
     }
+
+    // There are errors in the form or a conflicting edit. Render the form again with sanitized values.
+
+    // Get all authors and genres for form, and the saved book if the edits conflict.
+    const [allAuthors, allGenres, current] = await Promise.all([
+      Author.findSorted().exec(),
+      Genre.find().exec(),
+      errors.length === 0 ? Book.findById(req.params.id).exec() : null,
+    ]);
+
+    let conflict;
+    if (errors.length === 0) {
+      if (current === null) {
+        const err = new Error('Book not found');
+        err.status = 404;
+        return next(err);
+      }
+      const names = new Map([...allAuthors, ...allGenres].map((doc) => [doc.id, doc.name]));
+      conflict = await concurrency.conflict(current, book, BOOK_FIELDS, (field, value) =>
+        [].concat(value)
+          .map((item) =>
+            // Contributors are stored as { author, role }.
+            item.author ? `${names.get(item.author) || item.author} (${item.role})` : names.get(item) || item
+          )
+          .join(', ')
+      );
+      // Submitting the form again overwrites the other changes.
+      book.__v = current.__v;
+    }
+
+    // Mark selected genres as checked
+    for (const genre of allGenres) {
+      if (book.genre.indexOf(genre._id) > -1) {
+        genre.checked = 'true';
+      }
+    }
+    res.render('book_form', {
+      title: 'Update Book',
+      authors: allAuthors,
+      genres: allGenres,
+      book: book,
+      errors,
+      conflict,
+    });
   }),
 ];
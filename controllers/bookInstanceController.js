@@ -1,27 +1,146 @@
 const BookInstance = require('../models/bookinstance');
 const Book = require('../models/book');
+const Patron = require('../models/patron');
+const Loan = require('../models/loan');
+const Hold = require('../models/hold');
+const Fine = require('../models/fine');
+const Branch = require('../models/branch');
+const Transfer = require('../models/transfer');
+const config = require('../config');
+const circulation = require('../lib/circulation');
 
+const bookInstanceValidators = require('../validators/bookinstance');
+const listing = require('../lib/listing');
+const audit = require('../lib/audit');
+const concurrency = require('../lib/concurrency');
+
+const { DateTime } = require('luxon');
+const mongoose = require('mongoose');
 const asyncHandler = require('express-async-handler');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
+
+// Columns the book instance list can be sorted by.
+const BOOKINSTANCE_SORT_FIELDS = {
+  imprint: { label: 'Imprint', field: 'imprint' },
+  barcode: { label: 'Barcode', field: 'barcode' },
+  call_number: { label: 'Call number', field: 'call_number' },
+  status: { label: 'Status', field: 'status' },
+  due_back: { label: 'Due back', field: 'due_back' },
+};
 
 // Display list of all BookInstances.
 exports.bookinstance_list = asyncHandler(async (req, res, next) => {
-  const allBookInstances = await BookInstance.find()
-    .populate('book')
-    .sort({'book.title': 1})
-    .exec();
+  const options = listing.listOptions(req.query, BOOKINSTANCE_SORT_FIELDS, 'imprint');
+
+  // Optional filters on status and branch.
+  const statuses = BookInstance.schema.path('status').enumValues;
+  const filters = {
+    status: statuses.includes(req.query.status) ? req.query.status : '',
+    branch: mongoose.isObjectIdOrHexString(req.query.branch) ? req.query.branch : '',
+  };
+  const filter = {};
+  if (filters.status) filter.status = filters.status;
+  if (filters.branch) filter.branch = filters.branch;
+
+  const [allBookInstances, total, branches] = await Promise.all([
+    BookInstance.find(filter)
+      .populate('book')
+      .populate('branch', 'name')
+      .sort(options.sortSpec)
+      .skip(options.skip)
+      .limit(options.limit)
+      .exec(),
+    BookInstance.countDocuments(filter).exec(),
+    Branch.find({}, 'name').sort({ name: 1 }).exec(),
+  ]);
 
   res.render('bookinstance_list', {
     title: 'Book Instance List',
-    bookinstance_list: allBookInstances
+    bookinstance_list: allBookInstances,
+    pager: listing.pager(options, total, filters),
+    statuses,
+    branches,
+  });
+});
+
+// Display list of all loaned BookInstances past their due date.
+exports.bookinstance_overdue = asyncHandler(async (req, res, next) => {
+  const now = new Date();
+  // Optional filter on the branch the copies belong to.
+  const branch = mongoose.isObjectIdOrHexString(req.query.branch) ? req.query.branch : '';
+  const filter = { status: 'Loaned', due_back: { $lt: circulation.overdueBefore(now) } };
+  if (branch) filter.branch = branch;
+
+  const [overdueInstances, branches] = await Promise.all([
+    BookInstance.find(filter)
+      .sort({ due_back: 1 })
+      .populate('book', 'title')
+      .populate('borrower')
+      .populate('branch', 'name')
+      .exec(),
+    Branch.find({}, 'name').sort({ name: 1 }).exec(),
+  ]);
+
+  const overdue_list = overdueInstances
+    .map((bookInstance) => {
+      const days_late = circulation.daysLate(bookInstance.due_back, now);
+      return {
+        bookInstance,
+        days_late,
+        fine_accrued: ((days_late * config.finePerDayCents) / 100).toFixed(2),
+      };
+    })
+    .filter((entry) => entry.days_late > 0);
+
+  res.render('bookinstance_overdue', {
+    title: 'Overdue Copies',
+    overdue_list,
+    branches,
+    selected_branch: branch,
   });
 });
 
+// Find a copy by its barcode on GET and go to its detail page.
+// Barcode scanners type the code into the lookup form and press enter.
+exports.bookinstance_barcode = [
+  query('barcode').trim().toUpperCase().escape(),
+
+  asyncHandler(async (req, res, next) => {
+    const barcode = req.query.barcode;
+    if (!barcode) {
+      res.render('barcode_lookup', { title: 'Find a copy by barcode' });
+      return;
+    }
+
+    const bookInstance = await BookInstance.findOne({ barcode }, '_id').exec();
+    if (bookInstance !== null) {
+      res.redirect(bookInstance.url);
+      return;
+    }
+
+    res.status(404).render('barcode_lookup', {
+      title: 'Find a copy by barcode',
+      barcode,
+      errors: [{ msg: `No copy has the barcode ${barcode}` }],
+    });
+  }),
+];
+
 // Display detail page for a specific BookInstance.
 exports.bookinstance_detail = asyncHandler(async (req, res, next) => {
-  const bookInstance = await BookInstance.findById(req.params.id)
-    .populate('book')
-    .exec();
+  const [bookInstance, loans, hold, transfer] = await Promise.all([
+    BookInstance.findById(req.params.id)
+      .populate('book')
+      .populate('borrower')
+      .populate('branch')
+      .exec(),
+    Loan.find({ book_instance: req.params.id })
+      .sort({ checked_out: -1 })
+      .populate('patron')
+      .exec(),
+    Hold.findOne({ book_instance: req.params.id, status: 'Ready' }).populate('patron').exec(),
+    Transfer.findOne({ book_instance: req.params.id, status: 'In transit' }).populate('from').populate('to').exec(),
+  ]);
 
   if (bookInstance === null) {
     const err = new Error('Book instance not found');
@@ -30,56 +149,107 @@ exports.bookinstance_detail = asyncHandler(async (req, res, next) => {
   }
   res.render('bookinstance_detail', {
     title: 'Book:',
-    bookInstance
+    bookInstance,
+    loans,
+    hold,
+    transfer,
   });
 });
 
+// Fields of a copy from the sanitized create or update form.
+function bookInstanceFields(body) {
+  return {
+    book: body.book,
+    imprint: body.imprint,
+    barcode: body.barcode,
+    call_number: body.call_number,
+    branch: body.branch,
+    acquired: body.acquired,
+    price: body.price,
+    condition: body.condition,
+    status: body.status,
+    due_back: body.due_back,
+  };
+}
+
+// Form error pointing to the copy that already uses a barcode.
+function duplicateBarcodeError(existing) {
+  if (existing.is_deleted) {
+    return { path: 'barcode', msg: `Barcode ${existing.barcode} belongs to a copy in the trash` };
+  }
+  return {
+    path: 'barcode',
+    msg: `Barcode ${existing.barcode} is already used by <a href="${existing.url}">another copy</a>`,
+  };
+}
+
+// A copy on loan, on hold or in transit keeps its circulation details until it is returned,
+// picked up or received; a copy in transit also keeps its branch.
+function keepCirculationDetails(bookInstance, saved) {
+  if (saved === null || !BookInstance.CIRCULATION_STATUSES.includes(saved.status)) {
+    return;
+  }
+  bookInstance.status = saved.status;
+  bookInstance.borrower = saved.borrower;
+  bookInstance.due_back = saved.due_back;
+  if (saved.status === 'In transit') {
+    bookInstance.branch = saved.branch;
+  }
+}
+
 // Display BookInstance create form on GET.
 exports.bookinstance_create_get = asyncHandler(async (req, res, next) => {
-  const allBooks = await Book.find({}, 'title').exec();
+  const [allBooks, allBranches] = await Promise.all([
+    Book.find({}, 'title').exec(),
+    Branch.find({}, 'name').sort({ name: 1 }).exec(),
+  ]);
 
   res.render('bookinstance_form', {
     title: 'Create Book Instance',
     book_list: allBooks,
+    branch_list: allBranches,
   });
 });
 
 // Handle BookInstance create on POST.
 exports.bookinstance_create_post = [
   // Validate and sanitize fields.
-  body('book', 'Book must be specified').trim().notEmpty().escape(),
-  body('imprint', 'Imprint must be specified').trim().notEmpty().escape(),
-  body('status').escape(),
-  body('due_back', 'Invalid date').optional({ values: 'falsy' }).isISO8601().toDate(),
+  ...bookInstanceValidators,
 
   // Process request after validation and sanitization.
   asyncHandler(async (req, res, next) => {
     // Extract the validation errors from a request.
-    const errors = validationResult(req);
+    const errors = validationResult(req).array();
 
     // Create a BookInstance object with escaped and trimmed data.
-    const bookInstance = new BookInstance({
-      book: req.body.book,
-      imprint: req.body.imprint,
-      status: req.body.status,
-      due_back: req.body.due_back,
-    });
+    const bookInstance = new BookInstance(bookInstanceFields(req.body));
+
+    // Each barcode labels one copy only.
+    const existing = errors.length ? null : await BookInstance.findByBarcode(bookInstance.barcode);
+    if (existing) {
+      errors.push(duplicateBarcodeError(existing));
+    }
 
-    if (!errors.isEmpty()) {
+    if (errors.length > 0) {
       // There are errors.
       // Render form again with sanitized values and error messages.
-      const allBooks = await Book.find({}, 'title').exec();
+      const [allBooks, allBranches] = await Promise.all([
+        Book.find({}, 'title').exec(),
+        Branch.find({}, 'name').sort({ name: 1 }).exec(),
+      ]);
 
       res.render('bookinstance_form', {
         title: 'Create Book Instance',
         book_list: allBooks,
-        errors: errors.array(),
+        branch_list: allBranches,
+        errors,
         selected_book: bookInstance.book._id,
         bookInstance,
       });
     } else {
       // Data from form is valid
       await bookInstance.save();
+      await audit.created(req.user, bookInstance);
       res.redirect(bookInstance.url);
     }
   }),
@@ -103,16 +273,29 @@ exports.bookinstance_delete_get = asyncHandler(async (req, res, next) => {
 
 // Handle BookInstance delete on POST.
 exports.bookinstance_delete_post = asyncHandler(async (req, res, next) => {
-  await BookInstance.findByIdAndDelete(req.params.id);
+  const bookInstance = await BookInstance.findById(req.params.id).exec();
+
+  if (bookInstance !== null && BookInstance.CIRCULATION_STATUSES.includes(bookInstance.status)) {
+    // The copy must be returned, picked up or received first so its loan, hold or transfer is closed.
+    res.render('bookinstance_delete', {
+      title: 'Book Instance Delete',
+      book_instance: bookInstance,
+    });
+    return;
+  }
+
+  const deletedBookInstance = await BookInstance.softDeleteById(req.params.id);
+  await audit.deleted(req.user, deletedBookInstance);
   res.redirect('/catalog/bookinstances');
 });
 
 // Display BookInstance update form on GET.
 exports.bookinstance_update_get = asyncHandler(async (req, res, next) => {
   // Get information from book instance and all books
-  const [bookInstance, allBooks] = await Promise.all([
+  const [bookInstance, allBooks, allBranches] = await Promise.all([
     BookInstance.findById(req.params.id).populate('book').exec(),
     Book.find({}, 'title').exec(),
+    Branch.find({}, 'name').sort({ name: 1 }).exec(),
   ]);
 
   if (bookInstance == null) {
@@ -126,48 +309,260 @@ exports.bookinstance_update_get = asyncHandler(async (req, res, next) => {
     title: 'Update book instance',
     selected_book: bookInstance.book._id,
     book_list: allBooks,
+    branch_list: allBranches,
     bookInstance,
   });
 });
 
+// Fields of the book instance form, for showing conflicting edits.
+const BOOKINSTANCE_FIELDS = {
+  book: 'Book',
+  imprint: 'Imprint',
+  barcode: 'Barcode',
+  call_number: 'Call number',
+  branch: 'Branch',
+  acquired: 'Acquired',
+  price: 'Price',
+  condition: 'Condition',
+  status: 'Status',
+  due_back: 'Due back',
+};
+
 // Handle bookinstance update on POST.
 exports.bookinstance_update_post = [
   // Validate and sanitize fields.
-  body('book', 'Book must be specified').trim().notEmpty().escape(),
-  body('imprint', 'Imprint must be specified').trim().notEmpty().escape(),
-  body('status').escape(),
-  body('due_back', 'Invalid date').optional({ values: 'falsy' }).isISO8601().toDate(),
+  ...bookInstanceValidators,
+  concurrency.versionField,
 
   // Process request after validation and sanitization.
   asyncHandler(async (req, res, next) => {
     // Extract the validation errors from a request.
-    const errors = validationResult(req);
+    const errors = validationResult(req).array();
 
-    // Update BookInstance object with escaped and trimmed data and old id.
+    // Update BookInstance object with escaped and trimmed data, old id and the version the form was loaded from.
     const bookInstance = new BookInstance({
-      book: req.body.book,
-      imprint: req.body.imprint,
-      status: req.body.status,
-      due_back: req.body.due_back,
+      ...bookInstanceFields(req.body),
       _id: req.params.id,
+      __v: req.body.version,
     });
 
-    if (!errors.isEmpty()) {
-      // There are errors.
-      // Render form again with sanitized values and error messages.
-      const allBooks = await Book.find({}, 'title').exec();
+    // Each barcode labels one copy only.
+    const existing = errors.length ? null : await BookInstance.findByBarcode(bookInstance.barcode, req.params.id);
+    if (existing) {
+      errors.push(duplicateBarcodeError(existing));
+    }
 
-      res.render('bookinstance_form', {
-        title: 'Create Book Instance',
-        book_list: allBooks,
-        errors: errors.array(),
-        selected_book: bookInstance.book._id,
+    const current = await BookInstance.findById(req.params.id, 'status borrower due_back branch').exec();
+    keepCirculationDetails(bookInstance, current);
+
+    if (errors.length === 0) {
+      // Data from form is valid. Update the copy, unless someone saved it since the form was loaded.
+      const theBookInstance = await concurrency.updateIfCurrent(
+        BookInstance, req.params.id, req.body.version, bookInstance
+      );
+      if (theBookInstance !== null) {
+        await audit.updated(req.user, theBookInstance, bookInstance);
+        res.redirect(theBookInstance.url);
+        return;
+      }
+    }
+
+    // There are errors or a conflicting edit.
+    // Render form again with sanitized values and error messages.
+    const [allBooks, allBranches, saved] = await Promise.all([
+      Book.find({}, 'title').exec(),
+      Branch.find({}, 'name').sort({ name: 1 }).exec(),
+      errors.length === 0 ? BookInstance.findById(req.params.id).exec() : null,
+    ]);
+
+    let conflict;
+    if (errors.length === 0) {
+      if (saved === null) {
+        const err = new Error('Book instance not found');
+        err.status = 404;
+        return next(err);
+      }
+      const titles = new Map(allBooks.map((book) => [book.id, book.title]));
+      const branchNames = new Map(allBranches.map((branch) => [branch.id, branch.name]));
+      conflict = await concurrency.conflict(saved, bookInstance, BOOKINSTANCE_FIELDS, (field, value) => {
+        if (field === 'book') return titles.get(value) || value;
+        if (field === 'branch') return branchNames.get(value) || value;
+        if (field === 'price') return (value / 100).toFixed(2);
+        return field === 'due_back' || field === 'acquired' ? value.slice(0, 10) : value;
+      });
+      // Submitting the form again overwrites the other changes, but a copy that went out on loan,
+      // on hold or in transit in the meantime keeps its circulation details.
+      bookInstance.__v = saved.__v;
+      keepCirculationDetails(bookInstance, saved);
+    }
+
+    res.render('bookinstance_form', {
+      title: 'Update book instance',
+      book_list: allBooks,
+      branch_list: allBranches,
+      errors,
+      selected_book: bookInstance.book._id,
+      bookInstance,
+      conflict,
+    });
+  }),
+];
+
+// Display BookInstance checkout form on GET.
+exports.bookinstance_checkout_get = asyncHandler(async (req, res, next) => {
+  const [bookInstance, allPatrons, hold] = await Promise.all([
+    BookInstance.findById(req.params.id).populate('book').exec(),
+    Patron.find({}, 'first_name family_name card_number membership_expires')
+      .sort({ family_name: 1, first_name: 1 })
+      .exec(),
+    Hold.findOne({ book_instance: req.params.id, status: 'Ready' }).populate('patron').exec(),
+  ]);
+
+  if (bookInstance === null) {
+    const err = new Error('Book instance not found');
+    err.status = 404;
+    return next(err);
+  }
+
+  res.render('bookinstance_checkout', {
+    title: 'Check out copy',
+    bookInstance,
+    hold,
+    patron_list: allPatrons,
+    selected_patron: hold ? hold.patron._id.toString() : undefined,
+    loan_period: config.loanPeriodDays,
+  });
+});
+
+// Handle BookInstance checkout on POST.
+exports.bookinstance_checkout_post = [
+  body('patron', 'Patron must be specified').trim().notEmpty().escape(),
+
+  asyncHandler(async (req, res, next) => {
+    const errors = validationResult(req).array();
+
+    const [bookInstance, patron, hold] = await Promise.all([
+      BookInstance.findById(req.params.id).populate('book').exec(),
+      errors.length ? null : Patron.findById(req.body.patron).exec(),
+      Hold.findOne({ book_instance: req.params.id, status: 'Ready' }).populate('patron').exec(),
+    ]);
+
+    if (bookInstance === null) {
+      const err = new Error('Book instance not found');
+      err.status = 404;
+      return next(err);
+    }
+
+    if (errors.length === 0) {
+      if (patron === null) {
+        errors.push({ msg: 'Patron not found' });
+      } else if (patron.membership_expired) {
+        errors.push({ msg: `The membership of ${patron.name} has expired` });
+      }
+      if (bookInstance.status === 'Reserved') {
+        // A reserved copy may only go to the patron it was set aside for.
+        if (hold === null || (patron !== null && !hold.patron._id.equals(patron._id))) {
+          errors.push({ msg: 'This copy is reserved for another patron' });
+        }
+      } else if (bookInstance.status !== 'Available') {
+        errors.push({ msg: `Only available copies can be checked out (this copy is ${bookInstance.status})` });
+      }
+    }
+
+    let checkedOut = null;
+    const dueBack = DateTime.now().plus({ days: config.loanPeriodDays }).toJSDate();
+    if (errors.length === 0) {
+      // Only flip the status if nobody else checked the copy out in the meantime.
+      checkedOut = await BookInstance.findOneAndUpdate(
+        { _id: bookInstance._id, status: bookInstance.status },
+        { status: 'Loaned', borrower: patron._id, due_back: dueBack, $inc: { __v: 1 } },
+        { new: true }
+      ).exec();
+      if (checkedOut === null) {
+        errors.push({ msg: 'This copy was checked out by someone else' });
+      }
+    }
+
+    if (errors.length > 0) {
+      const allPatrons = await Patron.find({}, 'first_name family_name card_number membership_expires')
+        .sort({ family_name: 1, first_name: 1 })
+        .exec();
+
+      res.render('bookinstance_checkout', {
+        title: 'Check out copy',
         bookInstance,
+        hold,
+        patron_list: allPatrons,
+        selected_patron: req.body.patron,
+        loan_period: config.loanPeriodDays,
+        errors,
       });
-    } else {
-      // Data from form is valid
-      const theBookInstance = await BookInstance.findByIdAndUpdate(req.params.id, bookInstance, {});
-      res.redirect(theBookInstance.url);
+      return;
+    }
+
+    try {
+      await Loan.create({
+        book_instance: checkedOut._id,
+        patron: patron._id,
+        due_back: dueBack,
+      });
+    } catch (err) {
+      // Without its loan record the copy would stay on loan for good; put it back as it was.
+      const restore = { status: bookInstance.status, $unset: { borrower: 1 }, $inc: { __v: 1 } };
+      if (bookInstance.due_back) {
+        restore.due_back = bookInstance.due_back;
+      } else {
+        restore.$unset.due_back = 1;
+      }
+      await BookInstance.updateOne({ _id: checkedOut._id, status: 'Loaned', borrower: patron._id }, restore).exec();
+      throw err;
+    }
+    await audit.updated(req.user, bookInstance, checkedOut);
+    if (hold !== null) {
+      hold.status = 'Fulfilled';
+      await hold.save();
     }
+    res.redirect(checkedOut.url);
   }),
 ];
+
+// Handle BookInstance return on POST.
+exports.bookinstance_return_post = asyncHandler(async (req, res, next) => {
+  const returnedAt = new Date();
+  // The copy as it was on loan; shelveCopy records the change once it is back on the shelf.
+  // A copy on the shelf is not due; the loan keeps the date it was due back.
+  const bookInstance = await BookInstance.findOneAndUpdate(
+    { _id: req.params.id, status: 'Loaned' },
+    { status: 'Available', $unset: { borrower: 1, due_back: 1 }, $inc: { __v: 1 } }
+  ).exec();
+
+  if (bookInstance === null) {
+    const err = new Error('Book instance is not on loan');
+    err.status = 409;
+    return next(err);
+  }
+
+  const loan = await Loan.findOneAndUpdate(
+    { book_instance: bookInstance._id, returned: null },
+    { returned: returnedAt },
+    { new: true }
+  ).exec();
+
+  // Late returns accrue a fine for every day past the due date.
+  if (loan !== null) {
+    const daysLate = circulation.daysLate(loan.due_back, returnedAt);
+    if (daysLate > 0 && config.finePerDayCents > 0) {
+      await Fine.create({
+        patron: loan.patron,
+        loan: loan._id,
+        kind: 'Charge',
+        amount: daysLate * config.finePerDayCents,
+        date: returnedAt,
+        note: `Returned ${daysLate} day${daysLate === 1 ? '' : 's'} late`,
+      });
+    }
+  }
+  // Hand the copy to the next patron waiting for the book, if any.
+  await circulation.shelveCopy(bookInstance, req.user);
+  res.redirect(bookInstance.url);
+});
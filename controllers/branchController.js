@@ -0,0 +1,229 @@
+const Branch = require('../models/branch');
+const BookInstance = require('../models/bookinstance');
+const Transfer = require('../models/transfer');
+
+const branchValidators = require('../validators/branch');
+const listing = require('../lib/listing');
+const audit = require('../lib/audit');
+const concurrency = require('../lib/concurrency');
+
+const asyncHandler = require('express-async-handler');
+const { validationResult } = require('express-validator');
+
+// Columns the branch list can be sorted by.
+const BRANCH_SORT_FIELDS = {
+  name: { label: 'Name', field: 'name' },
+};
+
+// Display list of all Branches with their number of copies.
+exports.branch_list = asyncHandler(async (req, res, next) => {
+  const options = listing.listOptions(req.query, BRANCH_SORT_FIELDS, 'name');
+
+  const [allBranches, total, counts] = await Promise.all([
+    Branch.find()
+      .sort(options.sortSpec)
+      .skip(options.skip)
+      .limit(options.limit)
+      .exec(),
+    Branch.countDocuments().exec(),
+    // Aggregations skip the trash filter of find(), so leave out deleted copies here.
+    BookInstance.aggregate([
+      { $match: { deleted_at: null, branch: { $ne: null } } },
+      {
+        $group: {
+          _id: '$branch',
+          copies: { $sum: 1 },
+          available: { $sum: { $cond: [{ $eq: ['$status', 'Available'] }, 1, 0] } },
+        },
+      },
+    ]).exec(),
+  ]);
+
+  const countsByBranch = new Map(counts.map((count) => [count._id.toString(), count]));
+  res.render('branch_list', {
+    title: 'Branch List',
+    branch_list: allBranches.map((branch) => ({
+      branch,
+      copies: countsByBranch.has(branch.id) ? countsByBranch.get(branch.id).copies : 0,
+      available: countsByBranch.has(branch.id) ? countsByBranch.get(branch.id).available : 0,
+    })),
+    pager: listing.pager(options, total),
+  });
+});
+
+// Display detail page for a specific Branch.
+exports.branch_detail = asyncHandler(async (req, res, next) => {
+  const [branch, copies, incoming, outgoing] = await Promise.all([
+    Branch.findById(req.params.id).exec(),
+    BookInstance.find({ branch: req.params.id }).populate('book', 'title').sort({ call_number: 1 }).exec(),
+    Transfer.find({ to: req.params.id, status: 'In transit' })
+      .sort({ sent: 1 })
+      .populate({ path: 'book_instance', populate: { path: 'book', select: 'title' } })
+      .populate('from')
+      .exec(),
+    Transfer.find({ from: req.params.id, status: 'In transit' })
+      .sort({ sent: 1 })
+      .populate({ path: 'book_instance', populate: { path: 'book', select: 'title' } })
+      .populate('to')
+      .exec(),
+  ]);
+
+  if (branch === null) {
+    const err = new Error('Branch not found');
+    err.status = 404;
+    return next(err);
+  }
+
+  res.render('branch_detail', {
+    title: 'Branch Detail',
+    branch,
+    copies,
+    incoming,
+    outgoing,
+  });
+});
+
+// Display Branch create form on GET.
+exports.branch_create_get = (req, res, next) => {
+  res.render('branch_form', { title: 'Create Branch' });
+};
+
+// Handle Branch create on POST.
+exports.branch_create_post = [
+  // Validate and sanitize fields.
+  ...branchValidators,
+
+  asyncHandler(async (req, res, next) => {
+    const errors = validationResult(req).array();
+
+    // Create a branch object with escaped and trimmed data.
+    const branch = new Branch({ name: req.body.name, address: req.body.address });
+
+    if (errors.length === 0 && (await Branch.exists({ name: branch.name }))) {
+      errors.push({ path: 'name', msg: `There is already a branch called ${branch.name}` });
+    }
+
+    if (errors.length > 0) {
+      res.render('branch_form', { title: 'Create Branch', branch, errors });
+      return;
+    }
+
+    await branch.save();
+    await audit.created(req.user, branch);
+    res.redirect(branch.url);
+  }),
+];
+
+// What keeps a branch from being deleted: copies assigned to it (including copies in the trash,
+// which would come back without a branch) and copies on their way to it.
+async function branchReferences(id) {
+  const [copies, transfers] = await Promise.all([
+    BookInstance.find({ branch: id }, 'book imprint barcode')
+      .setOptions({ withDeleted: true })
+      .populate({ path: 'book', select: 'title', options: { withDeleted: true } })
+      .exec(),
+    Transfer.countDocuments({ to: id, status: 'In transit' }).exec(),
+  ]);
+  return { copies, transfers };
+}
+
+// Display Branch delete form on GET.
+exports.branch_delete_get = asyncHandler(async (req, res, next) => {
+  const [branch, references] = await Promise.all([
+    Branch.findById(req.params.id).exec(),
+    branchReferences(req.params.id),
+  ]);
+
+  if (branch === null) {
+    res.redirect('/catalog/branches');
+    return;
+  }
+
+  res.render('branch_delete', { title: 'Delete Branch', branch, ...references });
+});
+
+// Handle Branch delete on POST.
+exports.branch_delete_post = asyncHandler(async (req, res, next) => {
+  const [branch, references] = await Promise.all([
+    Branch.findById(req.params.id).exec(),
+    branchReferences(req.params.id),
+  ]);
+
+  if (branch === null) {
+    res.redirect('/catalog/branches');
+    return;
+  }
+
+  if (references.copies.length > 0 || references.transfers > 0) {
+    res.render('branch_delete', { title: 'Delete Branch', branch, ...references });
+    return;
+  }
+
+  // Branches hold no catalog data of their own, so they are deleted for good.
+  const deletedBranch = await Branch.findByIdAndDelete(req.params.id).exec();
+  await audit.deleted(req.user, deletedBranch);
+  res.redirect('/catalog/branches');
+});
+
+// Display Branch update form on GET.
+exports.branch_update_get = asyncHandler(async (req, res, next) => {
+  const branch = await Branch.findById(req.params.id).exec();
+
+  if (branch === null) {
+    const err = new Error('Branch not found');
+    err.status = 404;
+    return next(err);
+  }
+
+  res.render('branch_form', { title: 'Update Branch', branch });
+});
+
+// Fields of the branch form, for showing conflicting edits.
+const BRANCH_FIELDS = { name: 'Name', address: 'Address' };
+
+// Handle Branch update on POST.
+exports.branch_update_post = [
+  // Validate and sanitize fields.
+  ...branchValidators,
+  concurrency.versionField,
+
+  asyncHandler(async (req, res, next) => {
+    const errors = validationResult(req).array();
+
+    // Branch object with escaped and trimmed data, old id and the version the form was loaded from.
+    const branch = new Branch({
+      name: req.body.name,
+      address: req.body.address,
+      _id: req.params.id,
+      __v: req.body.version,
+    });
+
+    if (errors.length === 0 && (await Branch.exists({ name: branch.name, _id: { $ne: req.params.id } }))) {
+      errors.push({ path: 'name', msg: `There is already a branch called ${branch.name}` });
+    }
+
+    if (errors.length > 0) {
+      res.render('branch_form', { title: 'Update Branch', branch, errors });
+      return;
+    }
+
+    // Update the branch, unless someone saved it since the form was loaded.
+    const thebranch = await concurrency.updateIfCurrent(Branch, req.params.id, req.body.version, branch);
+    if (thebranch !== null) {
+      await audit.updated(req.user, thebranch, branch);
+      res.redirect(thebranch.url);
+      return;
+    }
+
+    const current = await Branch.findById(req.params.id).exec();
+    if (current === null) {
+      const err = new Error('Branch not found');
+      err.status = 404;
+      return next(err);
+    }
+    // Show both versions. Submitting the form again overwrites the other changes.
+    const conflict = await concurrency.conflict(current, branch, BRANCH_FIELDS);
+    branch.__v = current.__v;
+    res.render('branch_form', { title: 'Update Branch', branch, conflict });
+  }),
+];
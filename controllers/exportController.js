@@ -0,0 +1,24 @@
+const exporter = require('../lib/exporter');
+
+const asyncHandler = require('express-async-handler');
+
+// Display the list of available exports.
+exports.export_index = (req, res, next) => {
+  res.render('export_index', { title: 'Export', formats: exporter.FORMATS });
+};
+
+// Send an export file.
+exports.export_download = asyncHandler(async (req, res, next) => {
+  const { type, format } = req.params;
+
+  if (!exporter.isSupported(type, format)) {
+    const err = new Error('Export not found');
+    err.status = 404;
+    return next(err);
+  }
+
+  const file = await exporter.build(type, format);
+  res.attachment(file.filename);
+  res.type(file.contentType);
+  res.send(file.body);
+});
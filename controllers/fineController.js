@@ -0,0 +1,78 @@
+const Fine = require('../models/fine');
+const Patron = require('../models/patron');
+
+const asyncHandler = require('express-async-handler');
+const { body, validationResult } = require('express-validator');
+
+// Get a patron with their ledger entries and balance (in parallel).
+async function getLedger(patronId) {
+  const [patron, fines, balance] = await Promise.all([
+    Patron.findById(patronId).exec(),
+    Fine.find({ patron: patronId }).sort({ date: -1 }).exec(),
+    Fine.balanceFor(patronId),
+  ]);
+  return { patron, fines, balance };
+}
+
+// Display the fines ledger of a specific Patron.
+exports.fine_list = asyncHandler(async (req, res, next) => {
+  const { patron, fines, balance } = await getLedger(req.params.id);
+
+  if (patron === null) {
+    const err = new Error('Patron not found');
+    err.status = 404;
+    return next(err);
+  }
+
+  res.render('fine_list', {
+    title: 'Fines',
+    patron,
+    fines,
+    balance: (balance / 100).toFixed(2),
+  });
+});
+
+// Handle a payment or waiver on POST.
+exports.fine_create_post = [
+  body('kind', 'Choose a payment or a waiver').isIn(['Payment', 'Waiver']),
+  body('amount', 'Amount must be a positive number')
+    .trim()
+    .isFloat({ gt: 0 })
+    .toFloat(),
+  body('note').trim().escape(),
+
+  asyncHandler(async (req, res, next) => {
+    const errors = validationResult(req).array();
+    const { patron, fines, balance } = await getLedger(req.params.id);
+
+    if (patron === null) {
+      const err = new Error('Patron not found');
+      err.status = 404;
+      return next(err);
+    }
+
+    const amount = Math.round(req.body.amount * 100);
+    if (errors.length === 0 && amount > balance) {
+      errors.push({ msg: 'Amount is more than the outstanding balance' });
+    }
+
+    if (errors.length > 0) {
+      res.render('fine_list', {
+        title: 'Fines',
+        patron,
+        fines,
+        balance: (balance / 100).toFixed(2),
+        errors,
+      });
+      return;
+    }
+
+    await Fine.create({
+      patron: patron._id,
+      kind: req.body.kind,
+      amount,
+      note: req.body.note,
+    });
+    res.redirect(patron.url + '/fines');
+  }),
+];
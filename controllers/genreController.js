@@ -1,22 +1,44 @@
 const Genre = require('../models/genre');
 const Book = require('../models/book');
 
+const genreValidators = require('../validators/genre');
+const genres = require('../lib/genres');
+const audit = require('../lib/audit');
+const concurrency = require('../lib/concurrency');
+
 const asyncHandler = require('express-async-handler');
 
-const { body, validationResult } = require('express-validator');
+const { validationResult } = require('express-validator');
+
+// Fields compared when an update conflicts with another one.
+const GENRE_FIELDS = { name: 'Name', parent: 'Parent genre' };
+
+// The genres a genre can be placed under, as indented options for the parent select.
+// When updating, the genre itself and its sub-genres are left out.
+async function parentOptions(id = null) {
+  const [allGenres, own] = await Promise.all([
+    Genre.find().exec(),
+    id ? Genre.withDescendants(id) : [],
+  ]);
+  const excluded = new Set(own.map(String));
+  return genres.flatten(genres.tree(allGenres.filter((genre) => !excluded.has(genre.id))));
+}
 
-// Display list of all Genre.
+// Display list of all Genre, as a tree.
 exports.genre_list = asyncHandler(async (req, res, next) => {
-  const allGenres = await Genre.find().sort({ 'name': 1}).exec();
-  res.render('genre_list', {title: 'Genre List', genre_list: allGenres});
+  const allGenres = await Genre.find().exec();
+
+  res.render('genre_list', {
+    title: 'Genre List',
+    genre_tree: genres.tree(allGenres),
+  });
 });
 
 // Display detail page for a specific Genre.
 exports.genre_detail = asyncHandler(async (req, res, next) => {
-  // Get details of genre and all associated books in parallel
-  const [genre, booksInGenre] = await Promise.all([
+  const [genre, allGenres] = await Promise.all([
     Genre.findById(req.params.id).exec(),
-    Book.find({ genre: req.params.id }, 'title summary').exec(),
+    Genre.find().exec(),
   ]);
   if (genre === null) {
     // No results
@@ -24,40 +46,65 @@ exports.genre_detail = asyncHandler(async (req, res, next) => {
     err.status = 404;
     return next(err);
   }
+
+  // Books in this genre or any of its sub-genres.
+  const ids = await Genre.withDescendants(genre._id);
+  const booksInGenre = await Book.find({ genre: { $in: ids } }, 'title summary genre')
+    .sort({ title: 1 })
+    .populate('genre', 'name')
+    .exec();
+
   res.render('genre_detail', {
     title: 'Genre Detail',
-    genre_books: booksInGenre,
     genre,
+    ancestors: genres.ancestors(genre, allGenres),
+    subgenres: allGenres
+      .filter((item) => item.parent && item.parent.equals(genre._id))
+      .sort((a, b) => a.name.localeCompare(b.name)),
+    // Each book with the sub-genres it is listed under, if it is not in this genre itself.
+    genre_books: booksInGenre.map((book) => ({
+      book,
+      via: book.genre.some((item) => item._id.equals(genre._id))
+        ? []
+        : book.genre.filter((item) => ids.some((id) => id.equals(item._id))),
+    })),
   });
 });
 
 // Display Genre create form on GET.
-exports.genre_create_get = (req, res, next) => {
+exports.genre_create_get = asyncHandler(async (req, res, next) => {
   res.render('genre_form', {
-    title: 'Create Genre'
+    title: 'Create Genre',
+    parent_options: await parentOptions(),
   });
-};
+});
 
 // Handle Genre create on POST.
 exports.genre_create_post = [
   // Validate and sanitize the name field.
-  body('name', 'Genre must contain at least 3 characteres')
-    .trim()
-    .isLength({ min: 3 })
-    .escape(),
+  ...genreValidators,
 
   asyncHandler(async(req, res, next) => {
     const errors = validationResult(req);
 
     // Create a genre object with escaped and trimmed data
-    const genre = new Genre({ name:req.body.name });
+    const genre = new Genre({ name: req.body.name, parent: req.body.parent });
+
+    const errorList = errors.array();
+    if (errors.isEmpty()) {
+      const problem = await Genre.parentProblem(genre.parent);
+      if (problem) {
+        errorList.push({ msg: problem });
+      }
+    }
 
-    if (!errors.isEmpty()) {
+    if (errorList.length > 0) {
       // There are errors. Render the form again with sanitized values and error messages.
       res.render('genre_form', {
         title: "Create Genre",
-        errors: errors.array(),
+        errors: errorList,
         genre,
+        parent_options: await parentOptions(),
       });
       return;
     } else {
@@ -68,6 +115,7 @@ exports.genre_create_post = [
         res.redirect(genreExists.url);
       } else {
         await genre.save();
+        await audit.created(req.user, genre);
         res.redirect(genre.url);
       }
     }
@@ -76,94 +124,142 @@ exports.genre_create_post = [
 
 // Display Genre delete form on GET.
 exports.genre_delete_get = asyncHandler(async (req, res, next) => {
-  // Get details of genre and all the books with that genre
-  const [genre, allBooksWithGenre] = await Promise.all([
+  // Get details of genre, all the books with that genre and its sub-genres
+  const [genre, allBooksWithGenre, subgenres] = await Promise.all([
     Genre.findById(req.params.id).exec(),
     Book.find({ genre: req.params.id }, 'title summary').exec(),
+    Genre.find({ parent: req.params.id }).sort({ name: 1 }).exec(),
   ]);
 
   if (genre === null) {
     res.redirect('/catalog/genres');
+    return;
   }
 
   res.render('genre_delete', {
     title: 'Delete Genre',
     genre: genre,
     genre_books: allBooksWithGenre,
+    subgenres,
   });
 });
 
 // Handle Genre delete on POST.
 exports.genre_delete_post = asyncHandler(async (req, res, next) => {
-  const [genre, allBooksWithGenre] = await Promise.all([
+  const [genre, allBooksWithGenre, subgenres] = await Promise.all([
     Genre.findById(req.params.id).exec(),
     Book.find({ genre: req.params.id }, 'title summary').exec(),
+    Genre.find({ parent: req.params.id }).sort({ name: 1 }).exec(),
   ]);
 
-  if (allBooksWithGenre.length > 0) {
-    // There are books with the genre. Render in the same way as fo GET route.
+  if (genre === null) {
+    res.redirect('/catalog/genres');
+  } else if (allBooksWithGenre.length > 0 || subgenres.length > 0) {
+    // There are books or sub-genres with the genre. Render in the same way as fo GET route.
     res.render('genre_delete', {
       title: 'Delete Genre',
       genre: genre,
       genre_books: allBooksWithGenre,
+      subgenres,
     });
   } else {
     // There are no books with the genre. Delete object and redirect to the list of genres.
-    await Genre.findByIdAndDelete(req.params.id);
+    const deletedGenre = await Genre.softDeleteById(req.params.id);
+    await audit.deleted(req.user, deletedGenre);
     res.redirect('/catalog/genres');
   }
 });
 
 // Display Genre update form on GET.
 exports.genre_update_get = asyncHandler(async (req, res, next) => {
-  const genre = await Genre.findById(req.params.id).exec();
+  const [genre, parent_options] = await Promise.all([
+    Genre.findById(req.params.id).exec(),
+    parentOptions(req.params.id),
+  ]);
 
   if (genre == null) {
     // genre not found send 404 error
     const err = new Error('Genre not found');
-    res.status = 404;
+    err.status = 404;
     return next(err);
   } 
   
-  res.render('genre_form', {title: 'Update Genre', genre});
+  res.render('genre_form', { title: 'Update Genre', genre, parent_options });
   
 });
 
 // Handle Genre update on POST.
 exports.genre_update_post = [
-  body('name', 'Genre must contain at least 3 characteres')
-    .trim()
-    .isLength({ min: 3 })
-    .escape(),
-  
+  // Validate and sanitize the name field.
+  ...genreValidators,
+  concurrency.versionField,
+
   asyncHandler(async(req, res, next) => {
     // Extract the validation errors from a request.
     const errors = validationResult(req);
 
-    // Update genre object with escaped and trimmed data and old id.
+    // Update genre object with escaped and trimmed data, old id and the version the form was loaded from.
     const genre = new Genre({
       name: req.body.name,
+      parent: req.body.parent,
       _id: req.params.id,
+      __v: req.body.version,
     });
 
+    const errorList = errors.array();
+    if (errors.isEmpty()) {
+      // The parent cannot be the genre itself or one of its sub-genres.
+      const problem = await Genre.parentProblem(genre.parent, req.params.id);
+      if (problem) {
+        errorList.push({ msg: problem });
+      }
+    }
 
-    if (!errors.isEmpty()) {
+    if (errorList.length > 0) {
       // There are errors.
       // Render form again with sanitized values and error messages.
       res.render('genre_form', {
         title: 'Update Genre',
-        errors: errors.array(),
+        errors: errorList,
         genre,
+        parent_options: await parentOptions(req.params.id),
       });
     } else {
       // Data form is valid.
-      // Check if Genre with same name already exists.
-      const genreExists = await Genre.findOne({ name: req.body.name }).exec();
+      // Check if another Genre with same name already exists.
+      const genreExists = await Genre.findOne({ name: req.body.name, _id: { $ne: req.params.id } }).exec();
       if (genreExists) {
         res.redirect(genreExists.url);
       } else {
-        const thegenre = await Genre.findByIdAndUpdate(req.params.id, genre, {});
-        res.redirect(thegenre.url);
+        // Update the genre, unless someone saved it since the form was loaded.
+        const thegenre = await concurrency.updateIfCurrent(Genre, req.params.id, req.body.version, genre);
+        if (thegenre !== null) {
+          await audit.updated(req.user, thegenre, genre);
+          res.redirect(thegenre.url);
+          return;
+        }
+
+        const current = await Genre.findById(req.params.id).exec();
+        if (current === null) {
+          const err = new Error('Genre not found');
+          err.status = 404;
+          return next(err);
+        }
+        // Show both versions. Submitting the form again overwrites the other changes.
+        const parents = await Genre.find({ _id: { $in: [current.parent, genre.parent].filter(Boolean) } })
+          .setOptions({ withDeleted: true })
+          .exec();
+        const conflict = await concurrency.conflict(current, genre, GENRE_FIELDS, (field, value) => {
+          const parent = field === 'parent' && parents.find((item) => item._id.equals(value));
+          return parent ? parent.name : value;
+        });
+        genre.__v = current.__v;
+        res.render('genre_form', {
+          title: 'Update Genre',
+          genre,
+          conflict,
+          parent_options: await parentOptions(req.params.id),
+        });
       }
     }
   }),
@@ -0,0 +1,120 @@
+const Hold = require('../models/hold');
+const Book = require('../models/book');
+const Patron = require('../models/patron');
+const circulation = require('../lib/circulation');
+
+const asyncHandler = require('express-async-handler');
+const { body, validationResult } = require('express-validator');
+
+// Display list of all active Holds.
+exports.hold_list = asyncHandler(async (req, res, next) => {
+  // Release copies whose pickup window has passed before showing the queues.
+  await circulation.expireHolds();
+
+  const activeHolds = await Hold.find({ status: { $in: ['Waiting', 'Ready'] } })
+    .sort({ placed: 1 })
+    .populate('book', 'title')
+    .populate('patron')
+    .populate('book_instance')
+    .exec();
+
+  res.render('hold_list', {
+    title: 'Hold List',
+    ready_holds: activeHolds.filter((hold) => hold.status === 'Ready'),
+    waiting_holds: activeHolds.filter((hold) => hold.status === 'Waiting'),
+  });
+});
+
+// Display Hold create form on GET.
+exports.hold_create_get = asyncHandler(async (req, res, next) => {
+  const [book, allPatrons] = await Promise.all([
+    Book.findById(req.params.id, 'title').exec(),
+    Patron.find({}, 'first_name family_name card_number membership_expires')
+      .sort({ family_name: 1, first_name: 1 })
+      .exec(),
+  ]);
+
+  if (book === null) {
+    const err = new Error('Book not found');
+    err.status = 404;
+    return next(err);
+  }
+
+  res.render('hold_form', {
+    title: 'Place hold',
+    book,
+    patron_list: allPatrons,
+  });
+});
+
+// Handle Hold create on POST.
+exports.hold_create_post = [
+  body('patron', 'Patron must be specified').trim().notEmpty().escape(),
+
+  asyncHandler(async (req, res, next) => {
+    const errors = validationResult(req).array();
+
+    const [book, patron] = await Promise.all([
+      Book.findById(req.params.id, 'title').exec(),
+      errors.length ? null : Patron.findById(req.body.patron).exec(),
+    ]);
+
+    if (book === null) {
+      const err = new Error('Book not found');
+      err.status = 404;
+      return next(err);
+    }
+
+    if (errors.length === 0) {
+      if (patron === null) {
+        errors.push({ msg: 'Patron not found' });
+      } else if (patron.membership_expired) {
+        errors.push({ msg: `The membership of ${patron.name} has expired` });
+      } else {
+        // A patron only needs one place in the queue of a book.
+        const alreadyQueued = await Hold.exists({
+          book: book._id,
+          patron: patron._id,
+          status: { $in: ['Waiting', 'Ready'] },
+        });
+        if (alreadyQueued) {
+          errors.push({ msg: `${patron.name} already has a hold on this book` });
+        }
+      }
+    }
+
+    if (errors.length > 0) {
+      const allPatrons = await Patron.find({}, 'first_name family_name card_number membership_expires')
+        .sort({ family_name: 1, first_name: 1 })
+        .exec();
+
+      res.render('hold_form', {
+        title: 'Place hold',
+        book,
+        patron_list: allPatrons,
+        selected_patron: req.body.patron,
+        errors,
+      });
+      return;
+    }
+
+    await Hold.create({ book: book._id, patron: patron._id });
+    res.redirect(book.url);
+  }),
+];
+
+// Handle Hold cancel on POST.
+exports.hold_cancel_post = asyncHandler(async (req, res, next) => {
+  const hold = await Hold.findById(req.params.id).populate('book', 'title').exec();
+
+  if (hold === null) {
+    const err = new Error('Hold not found');
+    err.status = 404;
+    return next(err);
+  }
+
+  if (hold.is_active) {
+    await circulation.closeHold(hold, 'Cancelled', req.user);
+  }
+  res.redirect(hold.book.url);
+});
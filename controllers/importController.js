@@ -0,0 +1,65 @@
+const importer = require('../lib/importer');
+
+const asyncHandler = require('express-async-handler');
+const multer = require('multer');
+const { body, validationResult } = require('express-validator');
+
+// Uploaded files are kept in memory: they are parsed once and thrown away.
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024 }, // 10 MB
+});
+
+// Display import form on GET.
+exports.import_get = (req, res, next) => {
+  res.render('import_form', { title: 'Import', types: importer.TYPES, dry_run: true });
+};
+
+// Handle import on POST.
+exports.import_post = [
+  upload.single('file'),
+
+  body('type', 'Choose what to import').isIn(importer.TYPES),
+  body('dry_run').toBoolean(),
+
+  asyncHandler(async (req, res, next) => {
+    const errors = validationResult(req).array();
+    if (!req.file) {
+      errors.push({ msg: 'Choose a CSV or JSON file' });
+    }
+
+    let rows = [];
+    if (errors.length === 0) {
+      const text = req.file.buffer.toString('utf8');
+      try {
+        rows = importer.parse(text, importer.detectFormat(req.file.originalname, text));
+      } catch (err) {
+        errors.push({ msg: `The file could not be read: ${err.message}` });
+      }
+    }
+
+    if (errors.length > 0) {
+      res.render('import_form', {
+        title: 'Import',
+        types: importer.TYPES,
+        type: req.body.type,
+        dry_run: req.body.dry_run,
+        errors,
+      });
+      return;
+    }
+
+    const report = await importer.run(req.body.type, rows, {
+      dryRun: req.body.dry_run,
+      actor: req.user,
+    });
+
+    res.render('import_form', {
+      title: 'Import',
+      types: importer.TYPES,
+      type: req.body.type,
+      dry_run: req.body.dry_run,
+      report,
+    });
+  }),
+];
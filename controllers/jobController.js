@@ -0,0 +1,31 @@
+const Job = require('../models/job');
+const scheduler = require('../lib/jobs');
+
+const asyncHandler = require('express-async-handler');
+
+// Display the scheduled jobs with their last and next runs.
+exports.job_list = asyncHandler(async (req, res, next) => {
+  const records = await Job.find().exec();
+
+  res.render('job_list', {
+    title: 'Scheduled Jobs',
+    jobs: scheduler.definitions().map((definition) => ({
+      definition,
+      record: records.find((record) => record.name === definition.name) || null,
+    })),
+  });
+});
+
+// Handle running a job now on POST.
+exports.job_run_post = asyncHandler(async (req, res, next) => {
+  if (!scheduler.definitions().some((definition) => definition.name === req.params.name)) {
+    const err = new Error('Job not found');
+    err.status = 404;
+    return next(err);
+  }
+
+  // The run goes on in the background and the list shows it as running. Nothing happens while
+  // another run holds the job.
+  await scheduler.runNow(req.params.name);
+  res.redirect('/catalog/jobs');
+});
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+const Notification = require('../models/notification');
+
+const listing = require('../lib/listing');
+
+const asyncHandler = require('express-async-handler');
+
+// Columns the email log can be sorted by.
+const NOTIFICATION_SORT_FIELDS = {
+  date: { label: 'Date', field: 'date' },
+  to: { label: 'Recipient', field: 'to' },
+  kind: { label: 'Kind', field: 'kind' },
+};
+
+// Display the log of emails sent to patrons, newest first.
+exports.notification_list = asyncHandler(async (req, res, next) => {
+  const options = listing.listOptions({ order: 'desc', ...req.query }, NOTIFICATION_SORT_FIELDS, 'date');
+
+  // Optional filters on kind, status and patron.
+  const kinds = Notification.schema.path('kind').enumValues;
+  const statuses = Notification.schema.path('status').enumValues;
+  const filters = {
+    kind: kinds.includes(req.query.kind) ? req.query.kind : '',
+    status: statuses.includes(req.query.status) ? req.query.status : '',
+    patron: mongoose.isValidObjectId(req.query.patron) ? String(req.query.patron) : '',
+  };
+  const filter = {};
+  if (filters.kind) filter.kind = filters.kind;
+  if (filters.status) filter.status = filters.status;
+  if (filters.patron) filter.patron = filters.patron;
+
+  const [notifications, total] = await Promise.all([
+    Notification.find(filter)
+      .sort(options.sortSpec)
+      .skip(options.skip)
+      .limit(options.limit)
+      .populate('patron', 'first_name family_name')
+      .exec(),
+    Notification.countDocuments(filter).exec(),
+  ]);
+
+  res.render('notification_list', {
+    title: 'Email Log',
+    notifications,
+    pager: listing.pager(options, total, filters),
+    kinds: kinds.map((kind) => ({ value: kind, label: Notification.KIND_LABELS[kind] })),
+    statuses,
+  });
+});
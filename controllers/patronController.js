@@ -0,0 +1,251 @@
+const Patron = require('../models/patron');
+const Loan = require('../models/loan');
+const Hold = require('../models/hold');
+const Fine = require('../models/fine');
+const Notification = require('../models/notification');
+const circulation = require('../lib/circulation');
+
+const asyncHandler = require('express-async-handler');
+const { body, validationResult } = require('express-validator');
+
+// Validation and sanitization shared by the create and update forms.
+const patronValidators = [
+  body('first_name', 'First name must be specified')
+    .trim()
+    .notEmpty()
+    .escape(),
+
+  body('family_name', 'Family name must be specified')
+    .trim()
+    .notEmpty()
+    .escape(),
+
+  body('card_number')
+    .trim()
+    .notEmpty()
+    .withMessage('Card number must be specified')
+    .isAlphanumeric()
+    .withMessage('Card number has non-alphanumeric characters')
+    .escape(),
+
+  body('email', 'A valid email must be specified')
+    .trim()
+    .isEmail()
+    .escape(),
+
+  body('phone').trim().escape(),
+  body('address').trim().escape(),
+
+  body('membership_expires', 'Invalid membership expiry date')
+    .optional({ values: 'falsy' })
+    .isISO8601()
+    .toDate(),
+
+  // An unticked checkbox is not sent at all, which means the patron opted out.
+  body('email_notifications').toBoolean(),
+];
+
+// Display list of all Patrons.
+exports.patron_list = asyncHandler(async (req, res, next) => {
+  const allPatrons = await Patron.find()
+    .sort({ family_name: 1, first_name: 1 })
+    .exec();
+
+  res.render('patron_list', { title: 'Patron List', patron_list: allPatrons });
+});
+
+// Display detail page for a specific Patron.
+exports.patron_detail = asyncHandler(async (req, res, next) => {
+  const [patron, loans, holds, balance, notifications] = await Promise.all([
+    Patron.findById(req.params.id).exec(),
+    Loan.find({ patron: req.params.id })
+      .sort({ checked_out: -1 })
+      .populate({ path: 'book_instance', populate: { path: 'book', select: 'title' } })
+      .exec(),
+    Hold.find({ patron: req.params.id, status: { $in: ['Waiting', 'Ready'] } })
+      .sort({ placed: 1 })
+      .populate('book', 'title')
+      .exec(),
+    Fine.balanceFor(req.params.id),
+    Notification.find({ patron: req.params.id }).sort({ date: -1 }).limit(10).exec(),
+  ]);
+
+  if (patron === null) {
+    const err = new Error('Patron not found');
+    err.status = 404;
+    return next(err);
+  }
+  res.render('patron_detail', {
+    title: 'Patron Detail',
+    patron,
+    loans,
+    holds,
+    fine_balance: (balance / 100).toFixed(2),
+    notifications,
+  });
+});
+
+// Display Patron create form on GET.
+exports.patron_create_get = (req, res, next) => {
+  res.render('patron_form', { title: 'Create Patron' });
+};
+
+// Handle Patron create on POST.
+exports.patron_create_post = [
+  ...patronValidators,
+
+  // Process request after validation and sanitization.
+  asyncHandler(async (req, res, next) => {
+    // Extract the validation errors from the request.
+    const errors = validationResult(req).array();
+
+    // Create Patron object with escaped and trimmed data.
+    const patron = new Patron({
+      first_name: req.body.first_name,
+      family_name: req.body.family_name,
+      card_number: req.body.card_number,
+      email: req.body.email,
+      phone: req.body.phone,
+      address: req.body.address,
+      membership_expires: req.body.membership_expires,
+      email_notifications: req.body.email_notifications,
+    });
+
+    // Card numbers identify a patron at the desk, so they must be unique.
+    const cardTaken = await Patron.exists({ card_number: req.body.card_number });
+    if (cardTaken) {
+      errors.push({ msg: 'Another patron already has this card number' });
+    }
+
+    if (errors.length > 0) {
+      // There are errors. Render form again with sanitized values / error messages.
+      res.render('patron_form', {
+        title: 'Create Patron',
+        errors,
+        patron,
+      });
+      return;
+    } else {
+      // Data from form is valid.
+      await patron.save();
+      res.redirect(patron.url);
+    }
+  }),
+];
+
+// A patron, the loans they still have open and the fines they still owe (in cents), which
+// must be settled before the patron is deleted.
+function deletionDetails(id) {
+  return Promise.all([
+    Patron.findById(id).exec(),
+    Loan.find({ patron: id, returned: null })
+      .populate({ path: 'book_instance', populate: { path: 'book', select: 'title' } })
+      .exec(),
+    Fine.balanceFor(id),
+  ]);
+}
+
+// Display Patron delete form on GET.
+exports.patron_delete_get = asyncHandler(async (req, res, next) => {
+  const [patron, openLoans, balance] = await deletionDetails(req.params.id);
+
+  if (patron === null) {
+    // No results.
+    res.redirect('/users');
+    return;
+  }
+
+  res.render('patron_delete', {
+    title: 'Delete Patron',
+    patron,
+    open_loans: openLoans,
+    fine_balance: balance > 0 ? (balance / 100).toFixed(2) : null,
+  });
+});
+
+// Handle Patron delete on POST.
+exports.patron_delete_post = asyncHandler(async (req, res, next) => {
+  const [patron, openLoans, balance] = await deletionDetails(req.params.id);
+
+  if (patron !== null && (openLoans.length > 0 || balance > 0)) {
+    // Patron still has copies on loan or fines to pay. Render in same way as for GET route.
+    res.render('patron_delete', {
+      title: 'Delete Patron',
+      patron,
+      open_loans: openLoans,
+      fine_balance: balance > 0 ? (balance / 100).toFixed(2) : null,
+    });
+    return;
+  } else {
+    // Patron has nothing on loan. Give up their holds, delete object and redirect to the list of patrons.
+    const activeHolds = await Hold.find({
+      patron: req.params.id,
+      status: { $in: ['Waiting', 'Ready'] },
+    }).exec();
+    for (const hold of activeHolds) {
+      await circulation.closeHold(hold, 'Cancelled', req.user);
+    }
+    await Patron.findByIdAndDelete(req.params.id);
+    res.redirect('/users');
+  }
+});
+
+// Display Patron update form on GET.
+exports.patron_update_get = asyncHandler(async (req, res, next) => {
+  const patron = await Patron.findById(req.params.id).exec();
+
+  if (patron === null) {
+    // Patron not found send 404 error
+    const err = new Error('Patron not found');
+    err.status = 404;
+    return next(err);
+  }
+
+  res.render('patron_form', { title: 'Update Patron', patron });
+});
+
+// Handle Patron update on POST.
+exports.patron_update_post = [
+  ...patronValidators,
+
+  // Process request after validation and sanitization.
+  asyncHandler(async (req, res, next) => {
+    // Extract the validation errors from the request.
+    const errors = validationResult(req).array();
+
+    // Update Patron object with escaped and trimmed data and old id.
+    const patron = new Patron({
+      first_name: req.body.first_name,
+      family_name: req.body.family_name,
+      card_number: req.body.card_number,
+      email: req.body.email,
+      phone: req.body.phone,
+      address: req.body.address,
+      membership_expires: req.body.membership_expires,
+      email_notifications: req.body.email_notifications,
+      _id: req.params.id,
+    });
+
+    const cardTaken = await Patron.exists({
+      card_number: req.body.card_number,
+      _id: { $ne: req.params.id },
+    });
+    if (cardTaken) {
+      errors.push({ msg: 'Another patron already has this card number' });
+    }
+
+    if (errors.length > 0) {
+      // There are errors. Render form again with sanitized values / error messages.
+      res.render('patron_form', {
+        title: 'Update Patron',
+        errors,
+        patron,
+      });
+      return;
+    } else {
+      // Data from form is valid. Update the record.
+      const thePatron = await Patron.findByIdAndUpdate(req.params.id, patron, {});
+      res.redirect(thePatron.url);
+    }
+  }),
+];
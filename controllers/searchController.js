@@ -0,0 +1,91 @@
+const Book = require('../models/book');
+const Author = require('../models/author');
+const Genre = require('../models/genre');
+const highlight = require('../lib/highlight');
+const isbn = require('../lib/isbn');
+
+const asyncHandler = require('express-async-handler');
+const { query } = require('express-validator');
+
+// Maximum number of results shown per type.
+const RESULT_LIMIT = 50;
+
+// Run a ranked text search on one model.
+function textSearch(Model, q, projection) {
+  return Model.find({ $text: { $search: q } }, { ...projection, score: { $meta: 'textScore' } })
+    .sort({ score: { $meta: 'textScore' } })
+    .limit(RESULT_LIMIT);
+}
+
+// Display search results for books, authors and genres.
+exports.search = [
+  query('q').trim(),
+
+  asyncHandler(async (req, res, next) => {
+    // A repeated parameter (?q=a&q=b) arrives as an array; search for the first value.
+    const q = String([].concat(req.query.q)[0] || '');
+
+    if (q === '') {
+      res.render('search', { title: 'Search', q });
+      return;
+    }
+
+    const [books, authors, genres] = await Promise.all([
+      textSearch(Book, q, { title: 1, summary: 1, isbn: 1, author: 1 }).populate('author').exec(),
+      textSearch(Author, q, {
+        first_name: 1,
+        middle_name: 1,
+        family_name: 1,
+        family_name_first: 1,
+        date_of_birth: 1,
+        date_of_death: 1,
+      }).exec(),
+      textSearch(Genre, q, { name: 1 }).exec(),
+    ]);
+
+    // An ISBN typed with hyphens or as ISBN-10 finds its edition first.
+    const canonicalIsbn = isbn.normalize(q);
+    if (canonicalIsbn) {
+      const edition = await Book.findOne({ isbn: canonicalIsbn }, 'title summary isbn author')
+        .populate('author')
+        .exec();
+      if (edition && !books.some((book) => book.id === edition.id)) {
+        books.unshift(edition);
+      }
+    }
+
+    // Also list the books of matching authors and genres, after the direct matches.
+    const seen = new Set(books.map((book) => book.id));
+    const authorIds = authors.map((author) => author._id);
+    const relatedBooks = (
+      await Book.find({
+        $or: [
+          { author: { $in: authorIds } },
+          { 'contributors.author': { $in: authorIds } },
+          { genre: { $in: genres.map((genre) => genre._id) } },
+        ],
+      }, 'title summary isbn author')
+        .sort({ title: 1 })
+        .limit(RESULT_LIMIT)
+        .populate('author')
+        .exec()
+    ).filter((book) => !seen.has(book.id));
+
+    const terms = highlight.terms(q);
+    const bookResult = (book) => ({
+      book,
+      title: highlight.segments(book.title, terms),
+      summary: highlight.segments(book.summary, terms, 200),
+      isbn: highlight.segments(book.isbn, terms),
+    });
+
+    res.render('search', {
+      title: 'Search',
+      q,
+      books: books.map(bookResult),
+      related_books: relatedBooks.map(bookResult),
+      authors: authors.map((author) => ({ author, name: highlight.segments(author.name, terms) })),
+      genres: genres.map((genre) => ({ genre, name: highlight.segments(genre.name, terms) })),
+    });
+  }),
+];
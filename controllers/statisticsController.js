@@ -0,0 +1,32 @@
+const statistics = require('../lib/statistics');
+
+const asyncHandler = require('express-async-handler');
+
+// Display the circulation dashboard.
+exports.dashboard = asyncHandler(async (req, res, next) => {
+  // Loans are counted per day, week or month; the rankings cover the same time span.
+  const period = Object.prototype.hasOwnProperty.call(statistics.PERIODS, req.query.period) ? req.query.period : 'day';
+  const since = statistics.since(period);
+
+  const [loans, titles, authors, genres, utilization, overdue] = await Promise.all([
+    statistics.loansOverTime(period, since),
+    statistics.mostBorrowedTitles(since),
+    statistics.mostBorrowedAuthors(since),
+    statistics.genrePopularity(since),
+    statistics.copyUtilization(since),
+    statistics.overdue(),
+  ]);
+
+  res.render('statistics', {
+    title: 'Library Statistics',
+    periods: statistics.PERIODS,
+    period,
+    since,
+    loans,
+    titles,
+    authors,
+    genres,
+    utilization,
+    overdue,
+  });
+});
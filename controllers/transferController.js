@@ -0,0 +1,124 @@
+const Transfer = require('../models/transfer');
+const Branch = require('../models/branch');
+const BookInstance = require('../models/bookinstance');
+const circulation = require('../lib/circulation');
+
+const mongoose = require('mongoose');
+const asyncHandler = require('express-async-handler');
+const { body, validationResult } = require('express-validator');
+
+// Display list of all copies in transit, optionally only those on their way to one branch.
+exports.transfer_list = asyncHandler(async (req, res, next) => {
+  const to = mongoose.isObjectIdOrHexString(req.query.to) ? req.query.to : '';
+  const filter = { status: 'In transit' };
+  if (to) filter.to = to;
+
+  const [openTransfers, branches] = await Promise.all([
+    Transfer.find(filter)
+      .sort({ sent: 1 })
+      .populate({ path: 'book_instance', populate: { path: 'book', select: 'title' } })
+      .populate('from')
+      .populate('to')
+      .exec(),
+    Branch.find({}, 'name').sort({ name: 1 }).exec(),
+  ]);
+
+  res.render('transfer_list', {
+    title: 'Copies in transit',
+    transfer_list: openTransfers,
+    branches,
+    selected_branch: to,
+  });
+});
+
+// Display the form to send a BookInstance to another branch on GET.
+exports.transfer_create_get = asyncHandler(async (req, res, next) => {
+  const [bookInstance, branches] = await Promise.all([
+    BookInstance.findById(req.params.id).populate('book', 'title').populate('branch').exec(),
+    Branch.find().sort({ name: 1 }).exec(),
+  ]);
+
+  if (bookInstance === null) {
+    const err = new Error('Book instance not found');
+    err.status = 404;
+    return next(err);
+  }
+
+  res.render('transfer_form', {
+    title: 'Send copy to another branch',
+    bookInstance,
+    branches,
+  });
+});
+
+// Handle sending a BookInstance to another branch on POST.
+exports.transfer_create_post = [
+  body('to', 'Branch must be specified').trim().isMongoId(),
+
+  asyncHandler(async (req, res, next) => {
+    const errors = validationResult(req).array();
+
+    const [bookInstance, toBranch] = await Promise.all([
+      BookInstance.findById(req.params.id).populate('book', 'title').populate('branch').exec(),
+      errors.length ? null : Branch.findById(req.body.to).exec(),
+    ]);
+
+    if (bookInstance === null) {
+      const err = new Error('Book instance not found');
+      err.status = 404;
+      return next(err);
+    }
+
+    if (errors.length === 0) {
+      if (toBranch === null) {
+        errors.push({ msg: 'Branch not found' });
+      } else if (bookInstance.branch && bookInstance.branch._id.equals(toBranch._id)) {
+        errors.push({ msg: `This copy is already at ${toBranch.name}` });
+      }
+      if (bookInstance.status !== 'Available' && bookInstance.status !== 'Maintenance') {
+        errors.push({ msg: `Only copies on the shelf or in maintenance can be sent (this copy is ${bookInstance.status})` });
+      }
+    }
+
+    if (errors.length === 0) {
+      const transfer = await circulation.sendCopy(bookInstance, toBranch, req.user);
+      if (transfer !== null) {
+        res.redirect(bookInstance.url);
+        return;
+      }
+      errors.push({ msg: 'This copy was checked out, reserved or sent by someone else' });
+    }
+
+    const branches = await Branch.find().sort({ name: 1 }).exec();
+    res.render('transfer_form', {
+      title: 'Send copy to another branch',
+      bookInstance,
+      branches,
+      selected_branch: req.body.to,
+      errors,
+    });
+  }),
+];
+
+// Build a handler closing an open transfer with a status, then going back to the copy.
+function closeTransferAction(status) {
+  return asyncHandler(async (req, res, next) => {
+    const transfer = await Transfer.findById(req.params.id).exec();
+
+    if (transfer === null) {
+      const err = new Error('Transfer not found');
+      err.status = 404;
+      return next(err);
+    }
+
+    // Closing a transfer twice (e.g. a double click) changes nothing.
+    await circulation.closeTransfer(transfer, status, req.user);
+    res.redirect(`/catalog/bookinstance/${transfer.book_instance}`);
+  });
+}
+
+// Handle confirming that a copy arrived at its new branch on POST.
+exports.transfer_receive_post = closeTransferAction('Received');
+
+// Handle cancelling a transfer on POST. The copy stays at the branch it was sent from.
+exports.transfer_cancel_post = closeTransferAction('Cancelled');
@@ -0,0 +1,62 @@
+const trash = require('../lib/trash');
+const audit = require('../lib/audit');
+
+const asyncHandler = require('express-async-handler');
+
+// Render the trash, optionally with the reasons an action was refused.
+async function renderTrash(res, errors) {
+  res.render('trash_list', {
+    title: 'Trash',
+    types: trash.TYPES,
+    contents: await trash.contents(),
+    errors,
+  });
+}
+
+// Load the trashed record named in the URL, or pass a 404 on.
+async function trashedRecord(req, next) {
+  const doc = Object.prototype.hasOwnProperty.call(trash.TYPES, req.params.type)
+    ? await trash.findTrashed(req.params.type, req.params.id)
+    : null;
+  if (doc === null) {
+    const err = new Error('Record not found in the trash');
+    err.status = 404;
+    next(err);
+  }
+  return doc;
+}
+
+// Display everything in the trash.
+exports.trash_list = asyncHandler(async (req, res, next) => {
+  await renderTrash(res);
+});
+
+// Handle restoring a record on POST.
+exports.trash_restore_post = asyncHandler(async (req, res, next) => {
+  const doc = await trashedRecord(req, next);
+  if (doc === null) return;
+
+  const problems = await trash.restore(req.params.type, doc);
+  if (problems.length > 0) {
+    await renderTrash(res, problems.map((msg) => ({ msg })));
+    return;
+  }
+
+  await audit.restored(req.user, doc);
+  res.redirect(doc.url);
+});
+
+// Handle purging a record on POST.
+exports.trash_purge_post = asyncHandler(async (req, res, next) => {
+  const doc = await trashedRecord(req, next);
+  if (doc === null) return;
+
+  const problems = await trash.purge(req.params.type, doc);
+  if (problems.length > 0) {
+    await renderTrash(res, problems.map((msg) => ({ msg })));
+    return;
+  }
+
+  await audit.purged(req.user, doc);
+  res.redirect('/catalog/trash');
+});
@@ -0,0 +1,98 @@
+const AuditLog = require('../models/auditlog');
+const { displayName } = require('./names');
+
+// Audit trail of the catalog. Call these after a create, update or delete has been saved.
+// `actor` is the logged in user (req.user); scripts and scheduled work pass null.
+
+const IGNORED_FIELDS = ['_id', '__v', 'deleted_at'];
+
+// Plain copy of a document (or of an object from doc.toObject()), references as ids.
+function snapshot(doc) {
+  return typeof doc.toObject === 'function' ? doc.toObject({ depopulate: true, virtuals: false }) : doc;
+}
+
+// JSON-friendly value for storing and comparing: ids as strings, dates as ISO strings.
+function normalize(value) {
+  if (value === undefined || value === null || value === '') return null;
+  if (Array.isArray(value)) return value.length ? value.map(normalize) : null;
+  if (value instanceof Date) return value.toISOString();
+  if (value._bsontype === 'ObjectId') return value.toString();
+  if (typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, normalize(item)]));
+  }
+  return value;
+}
+
+// Fields whose value differs between two snapshots, as [{ field, before, after }].
+function diff(before, after) {
+  const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+  const changes = [];
+  for (const field of fields) {
+    if (IGNORED_FIELDS.includes(field)) continue;
+    const oldValue = normalize(before[field]);
+    const newValue = normalize(after[field]);
+    if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+      changes.push({ field, before: oldValue, after: newValue });
+    }
+  }
+  return changes;
+}
+
+function label(values) {
+  if (values.title) return values.title;
+  if (values.name) return values.name;
+  if (values.family_name) return displayName(values);
+  return values.imprint;
+}
+
+async function record(actor, action, doc, before, after) {
+  const changes = diff(before, after);
+  if (action === 'update' && changes.length === 0) {
+    return null;
+  }
+  return AuditLog.create({
+    actor: actor ? actor._id : undefined,
+    actor_name: actor ? actor.username : 'system',
+    action,
+    entity_type: doc.constructor.modelName,
+    entity_id: doc._id,
+    label: label(Object.keys(after).length ? after : before),
+    changes,
+  });
+}
+
+// Record a new document.
+exports.created = (actor, doc) => record(actor, 'create', doc, {}, snapshot(doc));
+
+// Record an update. `before` may be the old document or a doc.toObject() copy taken before
+// changing the document in place; `after` is the saved document.
+exports.updated = (actor, before, after) => {
+  if (before === null || after === null) return null;
+  return record(actor, 'update', after, snapshot(before), snapshot(after));
+};
+
+// Record a deletion (a move to the trash), from the deleted document.
+exports.deleted = (actor, doc) => {
+  if (doc === null) return null;
+  return record(actor, 'delete', doc, snapshot(doc), {});
+};
+
+// Record a document taken back out of the trash.
+exports.restored = (actor, doc) => record(actor, 'restore', doc, snapshot(doc), snapshot(doc));
+
+// Record a document removed from the trash for good.
+exports.purged = (actor, doc) => record(actor, 'purge', doc, snapshot(doc), {});
+
+// Record a duplicate removed by merging it into another record.
+exports.merged = (actor, doc) => record(actor, 'merge', doc, snapshot(doc), {});
+
+// Fields that differ between two versions of a record, as [{ field, before, after }].
+exports.changes = (before, after) => diff(snapshot(before), snapshot(after));
+
+// The most recent change of one record, or null.
+exports.lastChange = (entityType, entityId) =>
+  AuditLog.findOne({ entity_type: entityType, entity_id: entityId }).sort({ date: -1, _id: -1 }).exec();
+
+// History of one record, newest first.
+exports.historyFor = (entityType, entityId) =>
+  AuditLog.find({ entity_type: entityType, entity_id: entityId }).sort({ date: -1, _id: -1 }).exec();
@@ -0,0 +1,90 @@
+const passport = require('passport');
+const LocalStrategy = require('passport-local').Strategy;
+const User = require('../models/user');
+
+passport.use(
+  new LocalStrategy(async (username, password, done) => {
+    try {
+      const user = await User.findOne({ username }).exec();
+      if (user === null || !(await user.validPassword(password))) {
+        return done(null, false, { message: 'Incorrect username or password' });
+      }
+      return done(null, user);
+    } catch (err) {
+      return done(err);
+    }
+  })
+);
+
+passport.serializeUser((user, done) => {
+  done(null, user.id);
+});
+
+passport.deserializeUser(async (id, done) => {
+  try {
+    const user = await User.findById(id).exec();
+    done(null, user);
+  } catch (err) {
+    done(err);
+  }
+});
+
+exports.passport = passport;
+
+// Log in API clients sending HTTP Basic credentials, for this request only.
+exports.basicAuth = async (req, res, next) => {
+  const header = req.get('Authorization') || '';
+  if (req.user || !header.startsWith('Basic ')) {
+    return next();
+  }
+
+  try {
+    const decoded = Buffer.from(header.slice(6), 'base64').toString();
+    const separator = decoded.indexOf(':');
+    const username = decoded.slice(0, separator);
+    const password = decoded.slice(separator + 1);
+    const user = separator > 0 ? await User.findOne({ username }).exec() : null;
+    if (user === null || !(await user.validPassword(password))) {
+      const err = new Error('Incorrect username or password');
+      err.status = 401;
+      return next(err);
+    }
+    req.user = user;
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Make the logged in user and their rights available to every view.
+exports.exposeUser = (req, res, next) => {
+  res.locals.currentUser = req.user;
+  res.locals.isStaff = Boolean(req.user && req.user.is_staff);
+  res.locals.isAdmin = Boolean(req.user && req.user.role === 'admin');
+  next();
+};
+
+// Only let users with one of the given roles through. Anonymous users are sent to the login page,
+// or get a 401 on the JSON API.
+exports.requireRole = (...roles) => (req, res, next) => {
+  if (!req.user) {
+    if (req.baseUrl.startsWith('/api/')) {
+      const err = new Error('Authentication required');
+      err.status = 401;
+      res.set('WWW-Authenticate', 'Basic realm="LocalLibrary"');
+      return next(err);
+    }
+    res.redirect('/login?next=' + encodeURIComponent(req.originalUrl));
+    return;
+  }
+  if (!roles.includes(req.user.role)) {
+    const err = new Error('You are not allowed to do that');
+    err.status = 403;
+    return next(err);
+  }
+  next();
+};
+
+// Shorthands for the two groups routes are usually restricted to.
+exports.requireStaff = exports.requireRole('admin', 'librarian');
+exports.requireAdmin = exports.requireRole('admin');
@@ -0,0 +1,127 @@
+const BookInstance = require('../models/bookinstance');
+const Hold = require('../models/hold');
+const Transfer = require('../models/transfer');
+const config = require('../config');
+const audit = require('./audit');
+
+const { DateTime } = require('luxon');
+
+// Copies and loans due before this moment are overdue: the start of the current day (UTC), so
+// that an overdue copy is at least one day late by daysLate.
+exports.overdueBefore = (now = new Date()) => DateTime.fromJSDate(now).toUTC().startOf('day').toJSDate();
+
+// Whole calendar days between a due date and a later moment (0 if not late).
+exports.daysLate = (dueBack, at = new Date()) => {
+  const due = DateTime.fromJSDate(dueBack).toUTC().startOf('day');
+  const now = DateTime.fromJSDate(at).toUTC().startOf('day');
+  return Math.max(0, Math.floor(now.diff(due, 'days').days));
+};
+
+// Put a copy back on the shelf after it was returned or released from a hold.
+// If patrons are waiting for the book, the copy is set aside for the first in line.
+// `actor` is the user who returned or released the copy (null for scheduled work).
+exports.shelveCopy = async (bookInstance, actor = null) => {
+  const hold = await Hold.findOneAndUpdate(
+    { book: bookInstance.book._id, status: 'Waiting' },
+    {
+      status: 'Ready',
+      book_instance: bookInstance._id,
+      expires: DateTime.now().plus({ days: config.holdPickupDays }).toJSDate(),
+    },
+    { sort: { placed: 1 }, new: true }
+  ).exec();
+
+  const shelved = await BookInstance.findByIdAndUpdate(
+    bookInstance._id,
+    { status: hold ? 'Reserved' : 'Available', $unset: { due_back: 1 }, $inc: { __v: 1 } },
+    { new: true }
+  ).exec();
+  await audit.updated(actor, bookInstance, shelved);
+  return shelved;
+};
+
+// End an active hold. A copy that was set aside for it goes to the next patron in line.
+exports.closeHold = async (hold, status, actor = null) => {
+  const wasReady = hold.status === 'Ready';
+  hold.status = status;
+  await hold.save();
+
+  if (wasReady && hold.book_instance) {
+    const copy = await BookInstance.findOne({ _id: hold.book_instance, status: 'Reserved' }).exec();
+    if (copy !== null) {
+      await exports.shelveCopy(copy, actor);
+    }
+  }
+};
+
+// Send a copy to another branch. Only copies on the shelf or in maintenance can be sent.
+// Returns the transfer, or null if the copy cannot be sent or its status changed meanwhile.
+exports.sendCopy = async (bookInstance, toBranch, actor = null) => {
+  if (bookInstance.status !== 'Available' && bookInstance.status !== 'Maintenance') {
+    return null;
+  }
+  const sent = await BookInstance.findOneAndUpdate(
+    { _id: bookInstance._id, status: bookInstance.status },
+    { status: 'In transit', $inc: { __v: 1 } },
+    { new: true }
+  ).exec();
+  if (sent === null) {
+    return null;
+  }
+  await audit.updated(actor, bookInstance, sent);
+
+  return Transfer.create({
+    book_instance: bookInstance._id,
+    from: bookInstance.branch,
+    to: toBranch._id,
+    previous_status: bookInstance.status,
+    sent_by: actor ? actor.username : 'system',
+  });
+};
+
+// Close an open transfer. A received copy moves to the receiving branch; either way the copy gets
+// back the status it had when it was sent. A copy that was on the shelf goes back there, or to the
+// first patron waiting for the book.
+exports.closeTransfer = async (transfer, status, actor = null) => {
+  const closed = await Transfer.findOneAndUpdate(
+    { _id: transfer._id, status: 'In transit' },
+    { status, closed: new Date(), closed_by: actor ? actor.username : 'system' },
+    { new: true }
+  ).exec();
+  if (closed === null) {
+    return null;
+  }
+
+  const shelve = closed.previous_status === 'Available';
+  const update = { $inc: { __v: 1 } };
+  if (status === 'Received') {
+    update.branch = closed.to;
+  }
+  if (!shelve) {
+    update.status = closed.previous_status;
+  }
+  const bookInstance = await BookInstance.findOneAndUpdate(
+    { _id: closed.book_instance, status: 'In transit' },
+    update
+  ).exec();
+  if (bookInstance === null) {
+    return closed;
+  }
+
+  if (shelve) {
+    // The audit entry of shelveCopy covers the branch change as well.
+    await exports.shelveCopy(bookInstance, actor);
+  } else {
+    await audit.updated(actor, bookInstance, await BookInstance.findById(bookInstance._id).exec());
+  }
+  return closed;
+};
+
+// Expire every Ready hold whose pickup window has passed. Returns how many expired.
+exports.expireHolds = async () => {
+  const overdueHolds = await Hold.find({ status: 'Ready', expires: { $lt: new Date() } }).exec();
+  for (const hold of overdueHolds) {
+    await exports.closeHold(hold, 'Expired');
+  }
+  return overdueHolds.length;
+};
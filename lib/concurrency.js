@@ -0,0 +1,41 @@
+const audit = require('./audit');
+
+const { body } = require('express-validator');
+
+// Optimistic concurrency for the update forms. Each form carries the version (__v) of the record
+// it was loaded from, and the update only goes through if nobody saved the record since.
+// Every other update of these records increments __v as well.
+
+// The version field of an update form.
+exports.versionField = body('version').toInt();
+
+// Replace the fields of a record with those of `doc` if its stored version is still `version`.
+// Returns the record as it was before the update, or null if it is gone or was changed meanwhile.
+exports.updateIfCurrent = async (Model, id, version, doc) => {
+  if (!Number.isInteger(version)) {
+    return null;
+  }
+  const fields = doc.toObject({ depopulate: true });
+  delete fields._id;
+  delete fields.__v;
+  return Model.findOneAndUpdate({ _id: id, __v: version }, { $set: fields, $inc: { __v: 1 } }).exec();
+};
+
+// Describe a conflict for the update form: who changed the record meanwhile and how the fields
+// of the form differ between their saved version and the one submitted. `fields` maps field
+// names to labels; `format(field, value)` turns stored values (such as ids) into text.
+exports.conflict = async (current, mine, fields, format = (field, value) => value) => {
+  const lastChange = await audit.lastChange(current.constructor.modelName, current._id);
+  const changes = audit.changes(current, mine).filter((change) => fields[change.field]);
+
+  return {
+    url: current.url,
+    by: lastChange ? lastChange.actor_name : null,
+    at: lastChange ? lastChange.date_formatted : null,
+    fields: changes.map((change) => ({
+      label: fields[change.field],
+      theirs: change.before === null ? '' : format(change.field, change.before),
+      mine: change.after === null ? '' : format(change.field, change.after),
+    })),
+  };
+};
@@ -0,0 +1,91 @@
+const storage = require('./storage');
+const config = require('../config');
+
+const multer = require('multer');
+const sharp = require('sharp');
+
+// Book cover uploads. The original image is kept, plus a thumbnail for the book list and a
+// larger one for the detail page.
+
+const THUMBNAILS = {
+  list: { width: 40, height: 60 },
+  detail: { width: 240, height: 360 },
+};
+
+const CONTENT_TYPES = {
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  webp: 'image/webp',
+  gif: 'image/gif',
+};
+
+const EXTENSIONS = { jpeg: 'jpg', png: 'png', webp: 'webp', gif: 'gif' };
+
+// The size limit as people read it, such as "5 MB".
+exports.maxSize =
+  config.coverMaxBytes >= 1024 * 1024
+    ? `${Math.round((config.coverMaxBytes / 1024 / 1024) * 10) / 10} MB`
+    : `${Math.ceil(config.coverMaxBytes / 1024)} KB`;
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: config.coverMaxBytes, files: 1 },
+}).single('cover');
+
+// Parse a multipart form with an optional "cover" file. Upload problems are left in
+// req.coverError for the form handler to report.
+exports.upload = (req, res, next) => {
+  upload(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      req.coverError =
+        err.code === 'LIMIT_FILE_SIZE'
+          ? `The cover must not be larger than ${exports.maxSize}`
+          : `The cover could not be uploaded: ${err.message}`;
+      return next();
+    }
+    next(err);
+  });
+};
+
+// Check that an uploaded file really is an image we can use. Returns an error message or null.
+exports.check = async (file) => {
+  try {
+    const { format } = await sharp(file.buffer).metadata();
+    if (CONTENT_TYPES[format]) {
+      return null;
+    }
+  } catch (err) {
+    // Not an image at all.
+  }
+  return 'The cover must be a JPEG, PNG, WebP or GIF image';
+};
+
+// Store a cover for a book. Returns the storage keys of the original and the thumbnails.
+exports.store = async (bookId, buffer) => {
+  const { format } = await sharp(buffer).metadata();
+  // A new name for every upload, so browsers never show a cached older cover.
+  const prefix = `covers/${bookId}/${Date.now().toString(36)}`;
+  const cover = { original: `${prefix}.${EXTENSIONS[format]}` };
+  await storage.save(cover.original, buffer, CONTENT_TYPES[format]);
+
+  for (const [name, size] of Object.entries(THUMBNAILS)) {
+    const thumbnail = await sharp(buffer)
+      .rotate() // follow the EXIF orientation of photos
+      .resize(size.width, size.height, { fit: 'cover' })
+      .jpeg({ quality: 80 })
+      .toBuffer();
+    cover[name] = `${prefix}-${name}.jpg`;
+    await storage.save(cover[name], thumbnail, CONTENT_TYPES.jpeg);
+  }
+  return cover;
+};
+
+// Delete the files of a cover.
+exports.remove = async (cover) => {
+  if (!cover) return;
+  await Promise.all(
+    ['original', ...Object.keys(THUMBNAILS)]
+      .filter((name) => cover[name])
+      .map((name) => storage.remove(cover[name]))
+  );
+};
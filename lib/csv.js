@@ -0,0 +1,70 @@
+// Minimal RFC 4180 CSV support: quoted fields, doubled quotes, CRLF and a leading BOM.
+
+// Spreadsheets run cells starting with these characters as formulas. Written cells get a leading
+// apostrophe, which spreadsheets hide, and parsing drops it again.
+const FORMULA_START = /^[=+\-@\t\r]/;
+const GUARDED = /^'(?=[=+\-@\t\r])/;
+
+// Parse CSV text into an array of objects keyed by the header row.
+exports.parse = (text) => {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+  const input = text.replace(/^﻿/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  const [header = [], ...rows] = records.filter((r) => r.some((value) => value.trim() !== ''));
+  const columns = header.map((name) => name.trim());
+  return rows.map((row) =>
+    Object.fromEntries(columns.map((name, index) => [name, (row[index] || '').replace(GUARDED, '')]))
+  );
+};
+
+// Guard a value that would start a formula, and quote it when it contains a separator, a quote or
+// a line break.
+function formatField(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (FORMULA_START.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Turn objects into CSV text with a header row, using the given column order.
+exports.stringify = (rows, columns) =>
+  [columns, ...rows.map((row) => columns.map((column) => row[column]))]
+    .map((fields) => fields.map(formatField).join(','))
+    .join('\r\n') + '\r\n';
@@ -0,0 +1,238 @@
+const mongoose = require('mongoose');
+const Author = require('../models/author');
+const Book = require('../models/book');
+const audit = require('./audit');
+const { foldName, nameSimilarity } = require('./names');
+
+// Duplicate authors: finding likely pairs and merging one author into another.
+
+// Both names of two authors must be at least this similar for the pair to be reported.
+const MIN_SIMILARITY = 0.8;
+
+function sameDay(a, b) {
+  return a.toISOString().slice(0, 10) === b.toISOString().slice(0, 10);
+}
+
+// How likely two authors are the same person, as { score, reasons }, or null if they are not.
+// Names are compared without accents and case, also with first and family name swapped. Authors
+// born in different years are never duplicates.
+function matchAuthors(a, b) {
+  const aNames = [foldName(a.first_name), foldName(a.family_name)];
+  const bNames = [foldName(b.first_name), foldName(b.family_name)];
+  const straight = Math.min(nameSimilarity(aNames[0], bNames[0]), nameSimilarity(aNames[1], bNames[1]));
+  const swapped = Math.min(nameSimilarity(aNames[0], bNames[1]), nameSimilarity(aNames[1], bNames[0]));
+  const similarity = Math.max(straight, swapped);
+  if (similarity < MIN_SIMILARITY) {
+    return null;
+  }
+
+  const reasons = [similarity === 1 ? 'Same name' : 'Similar name'];
+  if (swapped > straight) {
+    reasons.push('First and family name swapped');
+  }
+  let score = similarity;
+  if (a.date_of_birth && b.date_of_birth) {
+    if (a.date_of_birth.getUTCFullYear() !== b.date_of_birth.getUTCFullYear()) {
+      return null;
+    }
+    reasons.push(sameDay(a.date_of_birth, b.date_of_birth) ? 'Same date of birth' : 'Born the same year');
+    score += sameDay(a.date_of_birth, b.date_of_birth) ? 1 : 0.5;
+  }
+  return { score, reasons };
+}
+
+const CANDIDATE_FIELDS = 'first_name middle_name family_name family_name_first date_of_birth date_of_death';
+
+// Authors in the catalog that are probably the same person as `author` (e.g. a new one).
+exports.similarAuthors = async (author) => {
+  const authors = await Author.find({ _id: { $ne: author._id } }, CANDIDATE_FIELDS).exec();
+  return authors.filter((other) => matchAuthors(author, other) !== null);
+};
+
+// Keys of the buckets an author is compared in: the first two letters of each of their names.
+// Similar family names share a key, and so do the names of a pair with first and family name
+// swapped. Names that already differ in their first two letters are never compared.
+function bucketKeys(author) {
+  const keys = [author.first_name, author.family_name].map((name) => foldName(name).slice(0, 2));
+  return new Set(keys.filter(Boolean));
+}
+
+// Pairs of authors that are probably the same person, most likely first:
+// [{ authors: [a, b], score, reasons }]. Only authors sharing a bucket are compared, so the work
+// grows with the size of the buckets rather than with the square of the catalog.
+exports.authorCandidates = async () => {
+  const authors = await Author.find({}, CANDIDATE_FIELDS).exec();
+  const buckets = new Map();
+  authors.forEach((author, index) => {
+    for (const key of bucketKeys(author)) {
+      buckets.set(key, [...(buckets.get(key) || []), index]);
+    }
+  });
+
+  const compared = new Set();
+  const candidates = [];
+  for (const members of buckets.values()) {
+    for (let i = 0; i < members.length; i += 1) {
+      for (let j = i + 1; j < members.length; j += 1) {
+        // A pair can share both buckets.
+        const pair = `${members[i]}:${members[j]}`;
+        if (compared.has(pair)) {
+          continue;
+        }
+        compared.add(pair);
+        const [a, b] = [authors[members[i]], authors[members[j]]];
+        const match = matchAuthors(a, b);
+        if (match) {
+          candidates.push({ authors: [a, b], ...match });
+        }
+      }
+    }
+  }
+  return candidates.sort((x, y) => y.score - x.score || x.authors[0].name.localeCompare(y.authors[0].name));
+};
+
+// The richer of two values of a field: the one that is set, or the longer name ("Isaac" over "I.").
+function richer(field, survivorValue, duplicateValue) {
+  if (!survivorValue) {
+    return duplicateValue;
+  }
+  if (!duplicateValue || typeof survivorValue !== 'string') {
+    return survivorValue;
+  }
+  return foldName(duplicateValue).length > foldName(survivorValue).length ? duplicateValue : survivorValue;
+}
+
+const MERGED_FIELDS = [
+  'first_name',
+  'middle_name',
+  'family_name',
+  'family_name_first',
+  'date_of_birth',
+  'date_of_death',
+  'pseudonym_of',
+];
+
+// The fields `survivor` will have once `duplicate` is merged into it. A survivor never becomes a
+// pen name of itself or of the duplicate that goes away, nor of anyone when it has pen names
+// (`hasPenNames`, see penNamesAfterMerge): pen names only point to real authors.
+exports.mergedFields = (survivor, duplicate, hasPenNames = false) => {
+  const fields = Object.fromEntries(
+    MERGED_FIELDS.map((field) => [field, richer(field, survivor[field], duplicate[field])])
+  );
+  if (
+    fields.pseudonym_of &&
+    (hasPenNames || [survivor._id, duplicate._id].some((id) => fields.pseudonym_of.equals(id)))
+  ) {
+    fields.pseudonym_of = null;
+  }
+  return fields;
+};
+
+// Whether the author kept by a merge has pen names afterwards: its own or the duplicate's, trashed
+// ones included.
+exports.penNamesAfterMerge = async (survivor, duplicate, session = null) => {
+  const ids = [survivor._id, duplicate._id];
+  const count = await Author.countDocuments({ pseudonym_of: { $in: ids }, _id: { $nin: ids } })
+    .setOptions({ withDeleted: true })
+    .session(session)
+    .exec();
+  return count > 0;
+};
+
+// Standalone servers reject transactions with IllegalOperation (code 20).
+async function transaction(work) {
+  try {
+    await mongoose.connection.transaction(work);
+  } catch (err) {
+    if (err.code === 20 || /replica set/i.test(err.message)) {
+      const unsupported = new Error(
+        'Merging authors needs MongoDB running as a replica set; this server is standalone. No changes were made.'
+      );
+      unsupported.status = 503;
+      throw unsupported;
+    }
+    throw err;
+  }
+}
+
+// Merge the author `duplicateId` into the author `survivorId` in one transaction: every book (trashed
+// ones too) that names the duplicate as author or contributor names the survivor instead, so do the
+// duplicate's pen names, the survivor takes the richer field values of both (it stops being a pen
+// name if it has pen names then), and the duplicate is deleted for good.
+// Returns the merged author and the number of books changed, or null if either author is gone.
+// Transactions need MongoDB running as a replica set; on a standalone server this throws an error
+// with status 503 saying so.
+exports.mergeAuthors = async (survivorId, duplicateId, actor) => {
+  const changes = [];
+  let survivor;
+  let duplicate;
+  let merged = null;
+
+  await transaction(async (session) => {
+    changes.length = 0;
+    // Operations of one session run one after another.
+    survivor = await Author.findById(survivorId).session(session).exec();
+    duplicate = await Author.findById(duplicateId).session(session).exec();
+    if (survivor === null || duplicate === null) {
+      merged = null;
+      return;
+    }
+
+    const books = await Book.find(Book.authorFilter(duplicate._id))
+      .setOptions({ withDeleted: true })
+      .session(session)
+      .exec();
+    for (const book of books) {
+      const before = book.toObject();
+      if (book.author.equals(duplicate._id)) {
+        book.author = survivor._id;
+      }
+      // Repoint the contributors, dropping entries that now repeat one another.
+      const seen = new Set();
+      book.contributors = book.contributors
+        .map((contributor) => ({
+          author: contributor.author.equals(duplicate._id) ? survivor._id : contributor.author,
+          role: contributor.role,
+        }))
+        .filter((contributor) => {
+          const key = `${contributor.author}:${contributor.role}`;
+          if (seen.has(key) || (contributor.role === 'Author' && contributor.author.equals(book.author))) {
+            return false;
+          }
+          seen.add(key);
+          return true;
+        });
+      book.increment();
+      await book.save({ session });
+      changes.push({ before, book });
+    }
+
+    const hasPenNames = await exports.penNamesAfterMerge(survivor, duplicate, session);
+    await Author.updateMany(
+      { pseudonym_of: duplicate._id, _id: { $ne: survivor._id } },
+      { pseudonym_of: survivor._id, $inc: { __v: 1 } },
+      { session }
+    )
+      .setOptions({ withDeleted: true })
+      .exec();
+
+    merged = await Author.findOneAndUpdate(
+      { _id: survivor._id },
+      { $set: exports.mergedFields(survivor, duplicate, hasPenNames), $inc: { __v: 1 } },
+      { new: true, session }
+    ).exec();
+    await Author.deleteOne({ _id: duplicate._id }, { session }).exec();
+  });
+
+  if (merged === null) {
+    return null;
+  }
+
+  // The audit trail is written once the merge is committed.
+  for (const { before, book } of changes) {
+    await audit.updated(actor, before, book);
+  }
+  await audit.updated(actor, survivor, merged);
+  await audit.merged(actor, duplicate);
+  return { author: merged, books: changes.length };
+};
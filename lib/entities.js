@@ -0,0 +1,17 @@
+// The form validators store text HTML-escaped (express-validator's escape()). Anything that is not
+// rendered by a view, such as exported files or email subjects, needs the plain text back.
+
+const ENTITIES = {
+  '&amp;': '&',
+  '&quot;': '"',
+  '&#x27;': "'",
+  '&lt;': '<',
+  '&gt;': '>',
+  '&#x2F;': '/',
+  '&#x5C;': '\\',
+  '&#96;': '`',
+};
+
+// Undo escape() on a stored value. Anything that is not a string is returned as it is.
+exports.plain = (text) =>
+  typeof text === 'string' ? text.replace(/&(amp|quot|#x27|lt|gt|#x2F|#x5C|#96);/g, (entity) => ENTITIES[entity]) : text;
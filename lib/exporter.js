@@ -0,0 +1,176 @@
+const Author = require('../models/author');
+const Book = require('../models/book');
+const BookInstance = require('../models/bookinstance');
+const Genre = require('../models/genre');
+
+const csv = require('./csv');
+const { plain } = require('./entities');
+const marc = require('./marc');
+const serialize = require('./serializers');
+
+// Catalog exports. Books are also available as MARCXML for other library systems.
+
+exports.FORMATS = {
+  books: ['csv', 'json', 'marcxml'],
+  authors: ['csv', 'json'],
+  genres: ['csv', 'json'],
+  bookinstances: ['csv', 'json'],
+};
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  json: 'application/json; charset=utf-8',
+  marcxml: 'application/marcxml+xml; charset=utf-8',
+};
+
+const EXTENSIONS = { csv: 'csv', json: 'json', marcxml: 'xml' };
+
+// Unescape every string of an exported row or record: the form validators store text HTML-escaped,
+// exported files carry the plain text.
+function plainDeep(value) {
+  if (Array.isArray(value)) return value.map(plainDeep);
+  if (value && Object.getPrototypeOf(value) === Object.prototype) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, plainDeep(item)]));
+  }
+  return plain(value);
+}
+
+function isoDate(date) {
+  return date ? date.toISOString().slice(0, 10) : '';
+}
+
+// How to load and flatten each type. CSV columns match the import columns where they overlap.
+const sources = {
+  books: {
+    load: () =>
+      Book.find()
+        .sort({ title: 1 })
+        .populate('author')
+        .populate('contributors.author')
+        .populate('genre')
+        .exec(),
+    json: serialize.book,
+    columns: [
+      'id',
+      'title',
+      'subtitle',
+      'author_first_name',
+      'author_family_name',
+      'contributors',
+      'summary',
+      'publisher',
+      'publication_year',
+      'language',
+      'page_count',
+      'edition',
+      'series',
+      'series_number',
+      'isbn',
+      'genre',
+    ],
+    row: (book) => ({
+      id: book.id,
+      title: book.title,
+      subtitle: book.subtitle,
+      author_first_name: book.author ? book.author.first_name : '',
+      author_family_name: book.author ? book.author.family_name : '',
+      // "Family, First (Role)" separated by ";". Not read back by the import.
+      contributors: book.contributors
+        .filter((contributor) => contributor.author)
+        .map((contributor) => `${contributor.author.sort_name} (${contributor.role})`)
+        .join(';'),
+      summary: book.summary,
+      publisher: book.publisher,
+      publication_year: book.publication_year,
+      language: book.language,
+      page_count: book.page_count,
+      edition: book.edition,
+      series: book.series,
+      series_number: book.series_number,
+      isbn: book.isbn,
+      genre: book.genre.map((genre) => genre.name).join(';'),
+    }),
+  },
+  authors: {
+    load: () => Author.findSorted().exec(),
+    json: serialize.author,
+    columns: ['id', 'first_name', 'middle_name', 'family_name', 'family_name_first', 'date_of_birth', 'date_of_death'],
+    row: (author) => ({
+      id: author.id,
+      first_name: author.first_name,
+      middle_name: author.middle_name || '',
+      family_name: author.family_name,
+      family_name_first: author.family_name_first ? 'true' : '',
+      date_of_birth: isoDate(author.date_of_birth),
+      date_of_death: isoDate(author.date_of_death),
+    }),
+  },
+  genres: {
+    load: () => Genre.find().sort({ name: 1 }).populate('parent', 'name').exec(),
+    json: serialize.genre,
+    columns: ['id', 'name', 'parent'],
+    row: (genre) => ({ id: genre.id, name: genre.name, parent: genre.parent ? genre.parent.name : '' }),
+  },
+  bookinstances: {
+    load: () => BookInstance.find().populate('book', 'title isbn').populate('branch', 'name').exec(),
+    json: serialize.bookInstance,
+    columns: [
+      'id',
+      'book_id',
+      'book_title',
+      'book_isbn',
+      'imprint',
+      'barcode',
+      'call_number',
+      'branch',
+      'acquired',
+      'price',
+      'condition',
+      'status',
+      'due_back',
+    ],
+    row: (bookInstance) => ({
+      id: bookInstance.id,
+      book_id: bookInstance.book ? bookInstance.book.id : '',
+      book_title: bookInstance.book ? bookInstance.book.title : '',
+      book_isbn: bookInstance.book ? bookInstance.book.isbn : '',
+      imprint: bookInstance.imprint,
+      barcode: bookInstance.barcode,
+      call_number: bookInstance.call_number,
+      branch: bookInstance.branch ? bookInstance.branch.name : '',
+      acquired: isoDate(bookInstance.acquired),
+      price: bookInstance.price_formatted,
+      condition: bookInstance.condition,
+      status: bookInstance.status,
+      due_back: isoDate(bookInstance.due_back),
+    }),
+  },
+};
+
+exports.isSupported = (type, format) =>
+  Object.prototype.hasOwnProperty.call(exports.FORMATS, type) && exports.FORMATS[type].includes(format);
+
+// Build an export file. Returns { filename, contentType, body }.
+exports.build = async (type, format) => {
+  if (!exports.isSupported(type, format)) {
+    throw new Error(`Cannot export ${type} as ${format}`);
+  }
+
+  const source = sources[type];
+  const docs = await source.load();
+
+  let body;
+  if (format === 'json') {
+    body = JSON.stringify(plainDeep(docs.map(source.json)), null, 2);
+  } else if (format === 'marcxml') {
+    body = marc.collection(docs.map((book) => marc.bookRecord(book, plain)));
+  } else {
+    body = csv.stringify(docs.map((doc) => plainDeep(source.row(doc))), source.columns);
+  }
+
+  return {
+    filename: `${type}.${EXTENSIONS[format]}`,
+    contentType: CONTENT_TYPES[format],
+    body,
+  };
+};
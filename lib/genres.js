@@ -0,0 +1,41 @@
+// Genres form a tree through their parent. These helpers arrange loaded genres for display.
+
+function byName(a, b) {
+  return a.genre.name.localeCompare(b.genre.name);
+}
+
+// Arrange genres as a tree: [{ genre, children: [...] }], each level sorted by name.
+// Genres whose parent is not among `genres` (e.g. it is in the trash) are shown at the top.
+exports.tree = (genres) => {
+  const nodes = new Map(genres.map((genre) => [genre.id, { genre, children: [] }]));
+  const roots = [];
+  for (const node of nodes.values()) {
+    const parentId = node.genre.parent ? node.genre.parent.toString() : null;
+    if (parentId && nodes.has(parentId)) {
+      nodes.get(parentId).children.push(node);
+    } else {
+      roots.push(node);
+    }
+  }
+  for (const node of nodes.values()) {
+    node.children.sort(byName);
+  }
+  return roots.sort(byName);
+};
+
+// Flatten a tree into [{ genre, depth }] in display order, e.g. for indented select options.
+exports.flatten = (tree, depth = 0) =>
+  tree.flatMap((node) => [{ genre: node.genre, depth }, ...exports.flatten(node.children, depth + 1)]);
+
+// The genres above a genre, from the top of the tree down to its parent.
+exports.ancestors = (genre, genres) => {
+  const byId = new Map(genres.map((item) => [item.id, item]));
+  const result = [];
+  let parentId = genre.parent ? genre.parent.toString() : null;
+  while (parentId && byId.has(parentId) && !result.some((item) => item.id === parentId)) {
+    const parent = byId.get(parentId);
+    result.unshift(parent);
+    parentId = parent.parent ? parent.parent.toString() : null;
+  }
+  return result;
+};
@@ -0,0 +1,37 @@
+const { plain } = require('./entities');
+
+// Split a query into the words worth highlighting.
+exports.terms = (query) =>
+  query
+    .split(/\s+/)
+    .map((term) => term.replace(/^[-"]+|"+$/g, ''))
+    .filter((term) => term.length > 1);
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Cut text into segments of { text, match } so views can mark the matched words
+// without rendering any of the text as HTML. Stored text is unescaped first, so that a term never
+// matches inside an entity such as &amp;; the views escape the segments again.
+exports.segments = (text, terms, maxLength) => {
+  let value = plain(text || '');
+  if (terms.length === 0) {
+    return [{ text: value, match: false }];
+  }
+  const alternatives = terms.map(escapeRegExp).join('|');
+  const splitter = new RegExp(`(${alternatives})`, 'gi');
+  const matcher = new RegExp(`^(${alternatives})$`, 'i');
+
+  // Show long texts from a little before their first match.
+  if (maxLength && value.length > maxLength) {
+    const first = value.search(splitter);
+    const start = Math.max(0, first - Math.floor(maxLength / 4));
+    value = (start > 0 ? '…' : '') + value.slice(start, start + maxLength) + '…';
+  }
+
+  return value
+    .split(splitter)
+    .filter((part) => part.length > 0)
+    .map((part) => ({ text: part, match: matcher.test(part) }));
+};
@@ -0,0 +1,244 @@
+const Author = require('../models/author');
+const Book = require('../models/book');
+const Genre = require('../models/genre');
+
+const authorValidators = require('../validators/author');
+const bookValidators = require('../validators/book');
+const genreValidators = require('../validators/genre');
+const validate = require('../validators/run');
+const audit = require('./audit');
+const csv = require('./csv');
+const { splitName } = require('./names');
+
+// Bulk import of books, authors and genres from CSV or JSON.
+//
+// Columns (CSV header or JSON keys):
+//   genres:  name, and optionally parent (the name of the broader genre)
+//   authors: first_name, family_name, date_of_birth, date_of_death,
+//            and optionally middle_name and family_name_first (true for names like "Mao Zedong")
+//   books:   title, summary, isbn, genre (names separated by ";" in CSV, or a JSON array),
+//            author_first_name + author_family_name, or author as "Family, First",
+//            and optionally subtitle, publisher, publication_year, language, page_count,
+//            edition, series and series_number
+//
+// Every row goes through the same validators as the forms. Authors and genres referenced by
+// books are matched by name and created when missing.
+
+exports.TYPES = ['books', 'authors', 'genres'];
+
+// Optional bibliographic columns of book rows.
+const BOOK_DETAILS = [
+  'subtitle',
+  'publisher',
+  'publication_year',
+  'language',
+  'page_count',
+  'edition',
+  'series',
+  'series_number',
+];
+
+// Parse an uploaded file into rows. `format` is "csv" or "json".
+exports.parse = (text, format) => {
+  if (format === 'json') {
+    const data = JSON.parse(text);
+    if (!Array.isArray(data)) {
+      throw new Error('JSON imports must be an array of objects');
+    }
+    return data;
+  }
+  return csv.parse(text);
+};
+
+// Guess the format of a file from its name, falling back to its content.
+exports.detectFormat = (filename, text) => {
+  if (/\.json$/i.test(filename || '')) return 'json';
+  if (/\.csv$/i.test(filename || '')) return 'csv';
+  return /^\s*[[{]/.test(text) ? 'json' : 'csv';
+};
+
+// Author names of a book row, from separate columns or a single "Family, First" column.
+function authorNames(row) {
+  if (row.author_first_name || row.author_family_name) {
+    return { first_name: row.author_first_name, family_name: row.author_family_name };
+  }
+  return splitName(row.author);
+}
+
+function genreNames(row) {
+  const value = row.genre || row.genres || [];
+  const names = Array.isArray(value) ? value : String(value).split(';');
+  return names.map((name) => String(name).trim()).filter((name) => name !== '');
+}
+
+// Find an author or genre by its (sanitized) fields, or create it with `defaults` added. Results
+// are cached per import so a dry run reports each new record once.
+async function findOrCreate(Model, fields, context, counter, defaults = {}) {
+  const key = Model.modelName + JSON.stringify(fields);
+  if (!context.cache.has(key)) {
+    let doc = await Model.findOne(fields).exec();
+    if (doc === null) {
+      doc = new Model({ ...fields, ...defaults });
+      if (!context.dryRun) {
+        await doc.save();
+        await audit.created(context.actor, doc);
+      }
+      context.summary[counter] += 1;
+    }
+    context.cache.set(key, doc);
+  }
+  return context.cache.get(key);
+}
+
+async function importGenre(row, context) {
+  const parentName = row.parent ? String(row.parent).trim() : '';
+  const [{ body, errors }, parent] = await Promise.all([
+    validate(genreValidators, { name: row.name }),
+    parentName ? validate(genreValidators, { name: parentName }) : null,
+  ]);
+  const messages = [...errors, ...(parent ? parent.errors.map((msg) => `Parent: ${msg}`) : [])];
+  if (messages.length === 0 && parent && parent.body.name === body.name) {
+    messages.push('A genre cannot be its own parent');
+  }
+  if (messages.length > 0) {
+    return { status: 'failed', label: row.name, messages };
+  }
+  if (await Genre.exists({ name: body.name })) {
+    return { status: 'skipped', label: body.name, messages: ['Genre already exists'] };
+  }
+  // A missing parent genre is created, like the genres of a book.
+  const parentDoc = parent
+    ? await findOrCreate(Genre, { name: parent.body.name }, context, 'genres_created')
+    : null;
+  await findOrCreate(Genre, { name: body.name }, context, 'genres_created', {
+    parent: parentDoc ? parentDoc._id : null,
+  });
+  return { status: 'created', label: body.name, messages: [] };
+}
+
+async function importAuthor(row, context) {
+  const { body, errors } = await validate(authorValidators, {
+    first_name: row.first_name,
+    middle_name: row.middle_name,
+    family_name: row.family_name,
+    family_name_first: row.family_name_first,
+    date_of_birth: row.date_of_birth,
+    date_of_death: row.date_of_death,
+  });
+  const label = `${row.first_name || ''} ${row.family_name || ''}`.trim();
+  if (errors.length > 0) {
+    return { status: 'failed', label, messages: errors };
+  }
+  if (await Author.exists({ first_name: body.first_name, family_name: body.family_name })) {
+    return { status: 'skipped', label, messages: ['Author already exists'] };
+  }
+
+  const author = new Author({
+    first_name: body.first_name,
+    middle_name: body.middle_name,
+    family_name: body.family_name,
+    family_name_first: body.family_name_first,
+    date_of_birth: body.date_of_birth,
+    date_of_death: body.date_of_death,
+  });
+  if (!context.dryRun) {
+    await author.save();
+    await audit.created(context.actor, author);
+  }
+  context.summary.authors_created += 1;
+  context.cache.set('Author' + JSON.stringify({ first_name: body.first_name, family_name: body.family_name }), author);
+  return { status: 'created', label, messages: [] };
+}
+
+async function importBook(row, context) {
+  const label = row.title || row.isbn || '';
+
+  // Validate the book itself, its author's name and its genre names before creating anything.
+  const [book, author, ...genres] = await Promise.all([
+    validate(bookValidators, {
+      title: row.title,
+      // The author is only looked up (or created) once the row is valid; any well-formed id will do here.
+      author: '000000000000000000000000',
+      summary: row.summary,
+      isbn: row.isbn,
+      ...Object.fromEntries(BOOK_DETAILS.map((field) => [field, row[field]])),
+    }),
+    validate(authorValidators, authorNames(row)),
+    ...genreNames(row).map((name) => validate(genreValidators, { name })),
+  ]);
+  const errors = [
+    ...book.errors,
+    ...author.errors.map((msg) => `Author: ${msg}`),
+    ...genres.flatMap((genre) => genre.errors.map((msg) => `Genre: ${msg}`)),
+  ];
+  if (errors.length > 0) {
+    return { status: 'failed', label, messages: errors };
+  }
+
+  const existing = await Book.findByIsbn(book.body.isbn);
+  if (existing || context.isbns.has(book.body.isbn)) {
+    return { status: 'skipped', label, messages: ['A book with this ISBN already exists'] };
+  }
+
+  const authorDoc = await findOrCreate(
+    Author,
+    { first_name: author.body.first_name, family_name: author.body.family_name },
+    context,
+    'authors_created'
+  );
+  const genreDocs = [];
+  for (const genre of genres) {
+    genreDocs.push(await findOrCreate(Genre, { name: genre.body.name }, context, 'genres_created'));
+  }
+
+  const newBook = new Book({
+    ...Object.fromEntries(BOOK_DETAILS.map((field) => [field, book.body[field]])),
+    title: book.body.title,
+    author: authorDoc._id,
+    summary: book.body.summary,
+    isbn: book.body.isbn,
+    genre: genreDocs.map((genre) => genre._id),
+  });
+  if (!context.dryRun) {
+    await newBook.save();
+    await audit.created(context.actor, newBook);
+  }
+  context.isbns.add(newBook.isbn);
+  return { status: 'created', label, messages: [] };
+}
+
+const importers = { books: importBook, authors: importAuthor, genres: importGenre };
+
+// Import rows of one type. Nothing is written when `dryRun` is set, but the report is the same.
+// `actor` is the user the created records are audited under (null for the command line).
+exports.run = async (type, rows, { dryRun = false, actor = null } = {}) => {
+  if (!exports.TYPES.includes(type)) {
+    throw new Error(`Unknown import type "${type}"`);
+  }
+
+  const context = {
+    dryRun,
+    actor,
+    cache: new Map(),
+    isbns: new Set(),
+    summary: { created: 0, skipped: 0, failed: 0, authors_created: 0, genres_created: 0 },
+  };
+  const report = [];
+
+  for (const [index, row] of rows.entries()) {
+    let result;
+    if (row === null || typeof row !== 'object') {
+      result = { status: 'failed', label: '', messages: ['Row is not an object'] };
+    } else {
+      try {
+        result = await importers[type](row, context);
+      } catch (err) {
+        result = { status: 'failed', label: '', messages: [err.message] };
+      }
+    }
+    context.summary[result.status] += 1;
+    report.push({ row: index + 1, ...result });
+  }
+
+  return { type, dryRun, summary: context.summary, rows: report };
+};
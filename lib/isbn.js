@@ -0,0 +1,47 @@
+// ISBN-10 / ISBN-13 checksums and normalization to a canonical ISBN-13.
+
+// Strip hyphens and spaces, keeping a trailing ISBN-10 "X" check digit.
+function compact(value) {
+  return String(value || '').replace(/[\s-]/g, '').toUpperCase();
+}
+
+function isbn10CheckDigit(first9) {
+  let sum = 0;
+  for (let i = 0; i < 9; i++) {
+    sum += (10 - i) * Number(first9[i]);
+  }
+  const check = (11 - (sum % 11)) % 11;
+  return check === 10 ? 'X' : String(check);
+}
+
+function isbn13CheckDigit(first12) {
+  let sum = 0;
+  for (let i = 0; i < 12; i++) {
+    sum += (i % 2 === 0 ? 1 : 3) * Number(first12[i]);
+  }
+  return String((10 - (sum % 10)) % 10);
+}
+
+// Canonical ISBN-13 of a valid ISBN-10 or ISBN-13, or null if it is not one.
+exports.normalize = (value) => {
+  const isbn = compact(value);
+
+  if (/^\d{9}[\dX]$/.test(isbn)) {
+    if (isbn10CheckDigit(isbn.slice(0, 9)) !== isbn[9]) {
+      return null;
+    }
+    const first12 = '978' + isbn.slice(0, 9);
+    return first12 + isbn13CheckDigit(first12);
+  }
+
+  if (/^97[89]\d{10}$/.test(isbn)) {
+    return isbn13CheckDigit(isbn.slice(0, 12)) === isbn[12] ? isbn : null;
+  }
+
+  return null;
+};
+
+exports.isValid = (value) => exports.normalize(value) !== null;
+
+// True for values already stored in canonical form.
+exports.isCanonical = (value) => typeof value === 'string' && exports.normalize(value) === value;
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+const Loan = require('../models/loan');
+const circulation = require('./circulation');
+const notifications = require('./notifications');
+const scheduler = require('./scheduler');
+
+// The scheduled jobs of the library. Each returns a short summary for the jobs page.
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+scheduler.define('mark-overdue-loans', {
+  description: 'Flag open loans that are past their due date',
+  every: HOUR,
+  run: async () => {
+    const result = await Loan.updateMany(
+      { returned: null, due_back: { $lt: circulation.overdueBefore() }, overdue_since: null },
+      { overdue_since: new Date() }
+    ).exec();
+    return `${result.modifiedCount} loans became overdue`;
+  },
+});
+
+scheduler.define('expire-holds', {
+  description: 'Expire ready holds whose pickup window has passed and pass their copies on',
+  every: 15 * MINUTE,
+  run: async () => `${await circulation.expireHolds()} holds expired`,
+});
+
+scheduler.define('send-notifications', {
+  description: 'Email patrons about copies due soon, overdue loans and holds ready for pickup',
+  every: 15 * MINUTE,
+  run: async () => {
+    const sent = await notifications.sendDue();
+    return `${sent.due_soon} due soon, ${sent.overdue} overdue and ${sent.hold_ready} hold ready emails sent`;
+  },
+});
+
+scheduler.define('prune-sessions', {
+  description: 'Delete expired login sessions',
+  every: 24 * HOUR,
+  run: async () => {
+    // connect-mongo keeps the sessions in this collection, with their expiry date.
+    const result = await mongoose.connection.collection('sessions').deleteMany({ expires: { $lt: new Date() } });
+    return `${result.deletedCount} sessions deleted`;
+  },
+});
+
+module.exports = scheduler;
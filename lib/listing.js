@@ -0,0 +1,51 @@
+// Page, sort and limit handling shared by the catalog list pages.
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Read page, limit and sort order from the query string.
+// `sortFields` maps the sort keys offered to users to { label, field }.
+exports.listOptions = (query, sortFields, defaultSort) => {
+  const page = Math.max(1, parseInt(query.page, 10) || 1);
+  const limit = Math.min(MAX_LIMIT, Math.max(1, parseInt(query.limit, 10) || DEFAULT_LIMIT));
+  const sort = Object.prototype.hasOwnProperty.call(sortFields, query.sort) ? query.sort : defaultSort;
+  const order = query.order === 'desc' ? 'desc' : 'asc';
+
+  return {
+    page,
+    limit,
+    skip: (page - 1) * limit,
+    sort,
+    order,
+    // _id breaks ties so pages never overlap.
+    sortSpec: { [sortFields[sort].field]: order === 'desc' ? -1 : 1, _id: 1 },
+    sortFields,
+  };
+};
+
+// Everything the list views need to draw the sort controls and page links.
+// `filters` are the active filter values, kept in every generated link.
+exports.pager = (options, total, filters = {}) => ({
+  page: options.page,
+  limit: options.limit,
+  total,
+  pages: Math.max(1, Math.ceil(total / options.limit)),
+  sort: options.sort,
+  order: options.order,
+  sortFields: options.sortFields,
+  filters,
+  // Query string for a page, keeping sort, limit and filters.
+  link(page) {
+    const params = new URLSearchParams();
+    for (const [key, value] of Object.entries(filters)) {
+      if (value) {
+        params.set(key, value);
+      }
+    }
+    params.set('sort', options.sort);
+    params.set('order', options.order);
+    params.set('limit', options.limit);
+    params.set('page', page);
+    return '?' + params.toString();
+  },
+});
@@ -0,0 +1,20 @@
+const crypto = require('crypto');
+
+// Messages printed on the console (text part only). Nothing is sent.
+
+exports.name = 'console';
+
+exports.send = async (message) => {
+  const id = `<${crypto.randomUUID()}@console>`;
+  const lines = [
+    `--- Email ${id}`,
+    `From: ${message.from}`,
+    `To: ${message.to}`,
+    `Subject: ${message.subject}`,
+    '',
+    message.text,
+    '---',
+  ];
+  console.log(lines.join('\n'));
+  return { id };
+};
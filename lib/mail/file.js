@@ -0,0 +1,19 @@
+const fs = require('fs/promises');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const config = require('../../config');
+
+// Messages written to MAIL_DIR as .eml files, which any mail client can open. Nothing is sent.
+
+const builder = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+
+exports.name = 'file';
+
+exports.send = async (message) => {
+  const info = await builder.sendMail(message);
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const id = info.messageId.replace(/[<>]/g, '');
+  await fs.mkdir(config.mailDir, { recursive: true });
+  await fs.writeFile(path.join(config.mailDir, `${stamp}-${id.split('@')[0]}.eml`), info.message);
+  return { id: info.messageId };
+};
@@ -0,0 +1,23 @@
+const config = require('../../config');
+
+// Outgoing email. A transport is a module with a `name` and
+//   send({ from, to, subject, html, text }) -> Promise of { id },
+// where `id` is the message id the transport reports. The transport is chosen with
+// MAIL_TRANSPORT; add new ones (such as an HTTP mail API) to TRANSPORTS.
+
+const TRANSPORTS = {
+  smtp: require('./smtp'),
+  file: require('./file'),
+  console: require('./console'),
+};
+
+function transport() {
+  const selected = TRANSPORTS[config.mailTransport];
+  if (!selected) {
+    throw new Error(`Unknown mail transport "${config.mailTransport}"`);
+  }
+  return selected;
+}
+
+// Send a message from the library address.
+exports.send = (message) => transport().send({ from: config.mailFrom, ...message });
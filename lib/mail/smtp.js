@@ -0,0 +1,25 @@
+const nodemailer = require('nodemailer');
+const config = require('../../config');
+
+// Messages handed to an SMTP server, SMTP_HOST:SMTP_PORT.
+
+let transporter = null;
+
+function smtp() {
+  if (transporter === null) {
+    transporter = nodemailer.createTransport({
+      host: config.smtpHost,
+      port: config.smtpPort,
+      secure: config.smtpSecure,
+      auth: config.smtpUser ? { user: config.smtpUser, pass: config.smtpPassword } : undefined,
+    });
+  }
+  return transporter;
+}
+
+exports.name = 'smtp';
+
+exports.send = async (message) => {
+  const info = await smtp().sendMail(message);
+  return { id: info.messageId };
+};
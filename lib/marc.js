@@ -0,0 +1,72 @@
+// MARC21 bibliographic records in MARCXML (http://www.loc.gov/standards/marcxml/).
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function controlfield(tag, value) {
+  return `    <controlfield tag="${tag}">${escapeXml(value)}</controlfield>`;
+}
+
+// `subfields` is a list of [code, value] pairs; empty values are left out.
+function datafield(tag, ind1, ind2, subfields) {
+  const content = subfields
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .map(([code, value]) => `<subfield code="${code}">${escapeXml(value)}</subfield>`)
+    .join('');
+  return content ? `    <datafield tag="${tag}" ind1="${ind1}" ind2="${ind2}">${content}</datafield>` : null;
+}
+
+function years(author) {
+  const born = author.date_of_birth ? author.date_of_birth.getUTCFullYear() : '';
+  const died = author.date_of_death ? author.date_of_death.getUTCFullYear() : '';
+  return born || died ? `${born}-${died}` : '';
+}
+
+// One <record> for a book with its authors, contributors and genres populated.
+// `plain` turns stored text into plain text.
+exports.bookRecord = (book, plain = (text) => text) => {
+  const author = book.author;
+  const fields = [
+    '    <leader>00000nam a2200000 a 4500</leader>',
+    controlfield('001', book.id),
+    datafield('020', ' ', ' ', [['a', book.isbn]]),
+    author && datafield('100', '1', ' ', [
+      ['a', plain(author.sort_name)],
+      ['d', years(author)],
+    ]),
+    datafield('245', author ? '1' : '0', '0', [['a', plain(book.title)], ['b', plain(book.subtitle)]]),
+    datafield('250', ' ', ' ', [['a', plain(book.edition)]]),
+    datafield('264', ' ', '1', [['b', plain(book.publisher)], ['c', book.publication_year]]),
+    datafield('300', ' ', ' ', [['a', book.page_count && `${book.page_count} pages`]]),
+    datafield('490', '0', ' ', [['a', plain(book.series)], ['v', book.series_number]]),
+    datafield('520', ' ', ' ', [['a', plain(book.summary)]]),
+    datafield('546', ' ', ' ', [['a', plain(book.language)]]),
+    ...book.genre.map((genre) => datafield('655', ' ', '7', [['a', plain(genre.name)], ['2', 'local']])),
+    ...(book.contributors || [])
+      .filter((contributor) => contributor.author)
+      .map((contributor) =>
+        datafield('700', '1', ' ', [
+          ['a', plain(contributor.author.sort_name)],
+          ['d', years(contributor.author)],
+          ['e', contributor.role.toLowerCase()],
+        ])
+      ),
+  ];
+  return ['  <record>', ...fields.filter(Boolean), '  </record>'].join('\n');
+};
+
+// Wrap records in a MARCXML collection document.
+exports.collection = (records) =>
+  [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<collection xmlns="http://www.loc.gov/MARC21/slim">',
+    ...records,
+    '</collection>',
+    '',
+  ].join('\n');
@@ -0,0 +1,14 @@
+const fs = require('fs/promises');
+const config = require('../../config');
+const { fromOpenLibrary } = require('./openlibrary');
+
+// Metadata from a local JSON file, for working offline and for tests. The file holds Open Library
+// "data" records keyed by "ISBN:<isbn-13>", as returned by the Open Library books API.
+
+exports.name = 'file';
+
+exports.lookup = async (isbn) => {
+  const records = JSON.parse(await fs.readFile(config.metadataFile, 'utf8'));
+  const data = records[`ISBN:${isbn}`];
+  return data ? fromOpenLibrary(isbn, data) : null;
+};
@@ -0,0 +1,76 @@
+const Author = require('../../models/author');
+const Genre = require('../../models/genre');
+
+const authorValidators = require('../../validators/author');
+const genreValidators = require('../../validators/genre');
+const validate = require('../../validators/run');
+const audit = require('../audit');
+const config = require('../../config');
+const { splitName } = require('../names');
+
+// Book metadata lookup by ISBN, used to fill in the book form.
+//
+// A provider is a module with a `name` and an async `lookup(isbn)` that takes an ISBN-13 and
+// resolves to null (unknown ISBN) or { isbn, title, summary, authors: [names], subjects: [names] },
+// optionally with subtitle, publisher, publication_year and page_count.
+// The provider is chosen with METADATA_PROVIDER; add new ones to PROVIDERS.
+
+const PROVIDERS = {
+  openlibrary: require('./openlibrary'),
+  file: require('./file'),
+};
+
+// Subjects beyond these are too specific to be useful as genres.
+const MAX_GENRES = 3;
+const MAX_GENRE_LENGTH = Genre.schema.path('name').options.maxLength;
+
+exports.provider = () => {
+  const provider = PROVIDERS[config.metadataProvider];
+  if (!provider) {
+    throw new Error(`Unknown metadata provider "${config.metadataProvider}"`);
+  }
+  return provider;
+};
+
+// Look up an ISBN-13 with the configured provider.
+exports.lookup = (isbn) => exports.provider().lookup(isbn);
+
+// Match the author and genres of a record to the catalog, creating the missing ones.
+// Returns { author, genres, messages }, where messages tell what was created or left out.
+exports.resolve = async (record, actor) => {
+  const messages = [];
+
+  let author = null;
+  if (record.authors.length > 0) {
+    const { body, errors } = await validate(authorValidators, splitName(record.authors[0]));
+    if (errors.length > 0) {
+      messages.push(`The author ${record.authors[0]} could not be added (${errors.join('; ')}), choose them below`);
+    } else {
+      author = await Author.findOne({ first_name: body.first_name, family_name: body.family_name }).exec();
+      if (author === null) {
+        author = new Author({ first_name: body.first_name, family_name: body.family_name });
+        await author.save();
+        await audit.created(actor, author);
+        messages.push(`Added the author ${author.name}`);
+      }
+    }
+  }
+
+  const genres = [];
+  for (const subject of record.subjects.slice(0, MAX_GENRES)) {
+    const { body, errors } = await validate(genreValidators, { name: subject });
+    if (errors.length > 0 || body.name.length > MAX_GENRE_LENGTH) {
+      continue;
+    }
+    let genre = await Genre.findOne({ name: body.name }).exec();
+    if (genre === null) {
+      genre = new Genre({ name: body.name });
+      await genre.save();
+      await audit.created(actor, genre);
+      messages.push(`Added the genre ${genre.name}`);
+    }
+    genres.push(genre);
+  }
+
+  return { author, genres, messages };
+};
@@ -0,0 +1,46 @@
+const config = require('../../config');
+
+// Metadata from the Open Library books API (https://openlibrary.org/dev/docs/api/books).
+
+const API_URL = 'https://openlibrary.org/api/books';
+
+// Turn an Open Library "data" record into the record the metadata providers return.
+exports.fromOpenLibrary = (isbn, data) => {
+  let summary = '';
+  if (typeof data.notes === 'string') {
+    summary = data.notes;
+  } else if (data.notes && data.notes.value) {
+    summary = data.notes.value;
+  } else if (Array.isArray(data.excerpts) && data.excerpts.length > 0) {
+    summary = data.excerpts[0].text;
+  }
+
+  // Publish dates are free text, such as "1937" or "September 21, 1937".
+  const year = /\b\d{4}\b/.exec(data.publish_date || '');
+
+  return {
+    isbn,
+    title: data.title,
+    subtitle: data.subtitle,
+    summary,
+    publisher: Array.isArray(data.publishers) && data.publishers.length > 0 ? data.publishers[0].name : undefined,
+    publication_year: year ? Number(year[0]) : undefined,
+    page_count: data.number_of_pages,
+    authors: (data.authors || []).map((author) => author.name),
+    subjects: (data.subjects || []).map((subject) => (typeof subject === 'string' ? subject : subject.name)),
+  };
+};
+
+exports.name = 'openlibrary';
+
+exports.lookup = async (isbn) => {
+  const key = `ISBN:${isbn}`;
+  const url = `${API_URL}?bibkeys=${encodeURIComponent(key)}&format=json&jscmd=data`;
+  const response = await fetch(url, { signal: AbortSignal.timeout(config.metadataTimeoutMs) });
+  if (!response.ok) {
+    throw new Error(`Open Library answered ${response.status} ${response.statusText}`);
+  }
+
+  const result = await response.json();
+  return result[key] ? exports.fromOpenLibrary(isbn, result[key]) : null;
+};
@@ -0,0 +1,84 @@
+// Helpers for personal names.
+
+// How author names are shown: "Asimov, Isaac" (family_first, the default) or "Isaac Asimov"
+// (given_first), set with the AUTHOR_NAME_ORDER environment variable.
+exports.NAME_ORDER = process.env.AUTHOR_NAME_ORDER === 'given_first' ? 'given_first' : 'family_first';
+
+// Collation for sorting names: accented letters sort with their base letter, in any script.
+exports.COLLATION = { locale: 'en' };
+
+// Given and middle names together.
+function givenNames(person) {
+  return [person.first_name, person.middle_name].filter(Boolean).join(' ');
+}
+
+// Name as listed in a catalog: "Asimov, Isaac".
+exports.invertedName = (person) => {
+  if (!person.first_name || !person.family_name) {
+    return '';
+  }
+  return `${person.family_name}, ${givenNames(person)}`;
+};
+
+// Name in the configured display order. In given-first order, names customarily written family
+// name first (family_name_first, e.g. "Mao Zedong") keep that order.
+exports.displayName = (person, order = exports.NAME_ORDER) => {
+  if (!person.first_name || !person.family_name) {
+    return '';
+  }
+  if (order === 'family_first') {
+    return exports.invertedName(person);
+  }
+  return person.family_name_first
+    ? `${person.family_name} ${givenNames(person)}`
+    : `${givenNames(person)} ${person.family_name}`;
+};
+
+// Split a full name written as "Family, First" or "First Family" into its parts.
+exports.splitName = (fullName) => {
+  const name = String(fullName || '').trim();
+  if (name.includes(',')) {
+    const [family_name, first_name] = name.split(',').map((part) => part.trim());
+    return { first_name, family_name };
+  }
+  const words = name.split(/\s+/);
+  return { first_name: words.slice(0, -1).join(' '), family_name: words[words.length - 1] };
+};
+
+// Name folded for comparison: without accents, case or punctuation ("García-Márquez" -> "garcia marquez").
+exports.foldName = (name) =>
+  String(name || '')
+    .normalize('NFKD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+
+// Number of single-character edits turning one string into the other.
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j += 1) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// Similarity of two folded names from 0 (nothing in common) to 1 (the same). An initial matches
+// any name starting with it, with a lower score ("i" and "isaac").
+exports.nameSimilarity = (a, b) => {
+  if (!a || !b) {
+    return 0;
+  }
+  if (a === b) {
+    return 1;
+  }
+  const [short, long] = a.length <= b.length ? [a, b] : [b, a];
+  if (short.length === 1 && long.startsWith(short)) {
+    return 0.8;
+  }
+  return 1 - editDistance(a, b) / long.length;
+};
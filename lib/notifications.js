@@ -0,0 +1,209 @@
+const path = require('path');
+const pug = require('pug');
+const { DateTime } = require('luxon');
+const Hold = require('../models/hold');
+const Loan = require('../models/loan');
+const Notification = require('../models/notification');
+const config = require('../config');
+const { plain } = require('./entities');
+const mail = require('./mail');
+
+// Emails to patrons about their loans and holds: a reminder shortly before a copy is due, a
+// notice once it is overdue and a message when a held copy is ready for pickup. Each event is
+// announced once; the Notification records double as the log of sent messages.
+
+// Failed messages are tried again on later runs, up to this many attempts in all.
+const MAX_ATTEMPTS = 5;
+
+// A message still marked as being sent after this long was interrupted (the process died before
+// recording the outcome) and is tried again. It may then arrive twice, but it is never lost.
+const SENDING_TIMEOUT = 30 * 60 * 1000;
+
+const TEMPLATE_DIR = path.join(__dirname, '..', 'views', 'email');
+
+// Render views/email/<kind>.pug to HTML.
+function render(kind, locals) {
+  return pug.renderFile(path.join(TEMPLATE_DIR, `${kind}.pug`), {
+    cache: process.env.NODE_ENV === 'production',
+    appUrl: config.appUrl,
+    ...locals,
+  });
+}
+
+// Plain-text part of an email, from its HTML: links keep their address, blocks become lines.
+function plainText(html) {
+  const text = html
+    .replace(/<head>.*<\/head>/s, '')
+    .replace(/<a [^>]*href="([^"]*)"[^>]*>(.*?)<\/a>/g, '$2 ($1)')
+    .replace(/<\/(p|h\d)>/g, '\n\n')
+    .replace(/<(br|hr)[^>]*>|<\/(li|tr|div)>/g, '\n')
+    .replace(/<li[^>]*>/g, '- ')
+    .replace(/<[^>]+>/g, '')
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+  return plain(text);
+}
+
+// Start of the window in which a message being sent is still taken to be on its way.
+function sendingSince() {
+  return new Date(Date.now() - SENDING_TIMEOUT);
+}
+
+// Take the record of an event before sending, so that two runs never send the same message.
+// Returns null if the message was already sent, is being sent or has failed too often.
+async function claim(key, fields) {
+  try {
+    return await Notification.create({ key, ...fields, attempts: 1 });
+  } catch (err) {
+    if (err.code !== 11000) {
+      throw err;
+    }
+    return Notification.findOneAndUpdate(
+      {
+        key,
+        attempts: { $lt: MAX_ATTEMPTS },
+        $or: [{ status: 'Failed' }, { status: 'Sending', date: { $lt: sendingSince() } }],
+      },
+      { ...fields, status: 'Sending', date: new Date(), $inc: { attempts: 1 } },
+      { new: true }
+    ).exec();
+  }
+}
+
+// Send one message about an event, unless it was already sent or the patron opted out.
+// Returns true if a message went out.
+async function notify({ key, kind, patron, loan, hold, subject, locals }) {
+  if (!patron || patron.email_notifications === false) {
+    return false;
+  }
+  const to = plain(patron.email);
+  const notification = await claim(key, {
+    kind,
+    patron: patron._id,
+    loan: loan ? loan._id : undefined,
+    hold: hold ? hold._id : undefined,
+    to,
+    subject,
+  });
+  if (notification === null) {
+    return false;
+  }
+
+  try {
+    // The templates escape what they show, so they get the plain values.
+    const recipient = {
+      first_name: plain(patron.first_name),
+      family_name: plain(patron.family_name),
+      card_number: plain(patron.card_number),
+    };
+    const html = render(kind, { subject, patron: recipient, ...locals });
+    const { id } = await mail.send({ to, subject, html, text: plainText(html) });
+    await Notification.updateOne(
+      { _id: notification._id },
+      { status: 'Sent', transport: config.mailTransport, message_id: id, error: null, date: new Date() }
+    ).exec();
+    return true;
+  } catch (err) {
+    await Notification.updateOne(
+      { _id: notification._id },
+      { status: 'Failed', transport: config.mailTransport, error: err.message, date: new Date() }
+    ).exec();
+    return false;
+  }
+}
+
+// Keys of the events that need no (further) message: sent, being sent or given up on.
+async function settledKeys(keys) {
+  const settled = await Notification.find({
+    key: { $in: keys },
+    $or: [
+      { status: 'Sent' },
+      { status: 'Sending', date: { $gte: sendingSince() } },
+      { attempts: { $gte: MAX_ATTEMPTS } },
+    ],
+  })
+    .select('key')
+    .exec();
+  return new Set(settled.map((notification) => notification.key));
+}
+
+// Send the messages for a list of events, skipping those already dealt with.
+async function notifyAll(events) {
+  const settled = await settledKeys(events.map((event) => event.key));
+  let sent = 0;
+  for (const event of events) {
+    if (!settled.has(event.key) && (await notify(event))) {
+      sent += 1;
+    }
+  }
+  return sent;
+}
+
+const LOAN_POPULATE = [
+  { path: 'patron' },
+  { path: 'book_instance', populate: { path: 'book', select: 'title' } },
+];
+
+// Titles are stored escaped; subjects and templates take plain text.
+function loanEvent(kind, loan, subject) {
+  const title = loan.book_instance && loan.book_instance.book ? plain(loan.book_instance.book.title) : 'A book';
+  return {
+    key: `${kind}:${loan._id}`,
+    kind,
+    patron: loan.patron,
+    loan,
+    subject: subject(title),
+    locals: { loan, title },
+  };
+}
+
+// Remind patrons of open loans due within DUE_SOON_DAYS days. Returns how many were sent.
+exports.sendDueSoon = async (now = new Date()) => {
+  const today = DateTime.fromJSDate(now).toUTC().startOf('day');
+  const loans = await Loan.find({
+    returned: null,
+    due_back: { $gte: today.toJSDate(), $lt: today.plus({ days: config.dueSoonDays + 1 }).toJSDate() },
+  })
+    .populate(LOAN_POPULATE)
+    .exec();
+  return notifyAll(
+    loans.map((loan) => loanEvent('due_soon', loan, (title) => `${title} is due back on ${loan.due_back_formatted}`))
+  );
+};
+
+// Tell patrons about loans the mark-overdue-loans job flagged as overdue. Returns how many were sent.
+exports.sendOverdue = async () => {
+  const loans = await Loan.find({ returned: null, overdue_since: { $ne: null } })
+    .populate(LOAN_POPULATE)
+    .exec();
+  return notifyAll(loans.map((loan) => loanEvent('overdue', loan, (title) => `${title} is overdue`)));
+};
+
+// Tell patrons a copy is waiting for them at the desk. Returns how many were sent.
+exports.sendHoldReady = async (now = new Date()) => {
+  const holds = await Hold.find({ status: 'Ready', expires: { $gt: now } })
+    .populate('patron')
+    .populate('book', 'title')
+    .exec();
+  return notifyAll(
+    holds.map((hold) => {
+      const title = hold.book ? plain(hold.book.title) : null;
+      return {
+        key: `hold_ready:${hold._id}`,
+        kind: 'hold_ready',
+        patron: hold.patron,
+        hold,
+        subject: `${title || 'Your hold'} is ready for pickup`,
+        locals: { hold, title: title || 'Your book' },
+      };
+    })
+  );
+};
+
+// Send every message that is due. Returns how many of each kind were sent.
+exports.sendDue = async (now = new Date()) => ({
+  due_soon: await exports.sendDueSoon(now),
+  overdue: await exports.sendOverdue(),
+  hold_ready: await exports.sendHoldReady(now),
+});
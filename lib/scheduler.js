@@ -0,0 +1,116 @@
+const os = require('os');
+const Job = require('../models/job');
+const config = require('../config');
+const debug = require('debug')('mdn-ellt:scheduler');
+
+// In-process job scheduler. Jobs are defined in code with `define` and run every `every`
+// milliseconds; their schedule and results are stored in the jobs collection, so a restart picks
+// up where it left off. Every instance polls for due jobs, and a run starts only after taking a
+// lease on the job record, so a job never runs twice at the same time across instances. A lease
+// left by an instance that died expires after the job's `timeout`.
+
+const jobs = new Map();
+
+// Name of this instance in the leases.
+const INSTANCE = `${os.hostname()}:${process.pid}`;
+
+// Failures kept per job.
+const MAX_FAILURES = 20;
+
+let timer = null;
+
+// Register a job: { every, description, timeout, run }. `run` returns a short summary of what it did.
+exports.define = (name, { every, description, timeout = 10 * 60 * 1000, run }) => {
+  jobs.set(name, { name, every, description, timeout, run });
+};
+
+// The registered jobs, in the order they were defined.
+exports.definitions = () => [...jobs.values()];
+
+// Take the lease of a job: when it is due, or at once with `force`. Returns the job record, or
+// null if it is not due or another instance holds the lease.
+function claim(job, force = false) {
+  const now = new Date();
+  const filter = {
+    name: job.name,
+    $or: [{ locked_until: null }, { locked_until: { $lte: now } }],
+  };
+  if (!force) {
+    filter.next_run = { $lte: now };
+  }
+  return Job.findOneAndUpdate(
+    filter,
+    { locked_by: INSTANCE, locked_until: new Date(now.getTime() + job.timeout), last_started: now },
+    { new: true }
+  ).exec();
+}
+
+// Run a job whose lease this instance holds and record the outcome. Failures are recorded,
+// not thrown.
+async function execute(job) {
+  const update = { locked_by: null, locked_until: null, $inc: { runs: 1 } };
+  try {
+    const result = await job.run();
+    update.last_status = 'Succeeded';
+    update.last_result = result === undefined ? '' : String(result);
+    debug('%s: %s', job.name, update.last_result);
+  } catch (err) {
+    update.last_status = 'Failed';
+    update.$inc.failure_count = 1;
+    update.$push = { failures: { $each: [{ date: new Date(), error: err.message }], $slice: -MAX_FAILURES } };
+    debug('%s failed: %O', job.name, err);
+  }
+  const finished = new Date();
+  update.last_finished = finished;
+  update.next_run = new Date(finished.getTime() + job.every);
+  return Job.findOneAndUpdate({ name: job.name, locked_by: INSTANCE }, update, { new: true }).exec();
+}
+
+// Run every job that is due.
+exports.tick = async () => {
+  for (const job of jobs.values()) {
+    const claimed = await claim(job);
+    if (claimed !== null) {
+      await execute(job);
+    }
+  }
+};
+
+// Create the record of a job that has none yet, with its first run due right away.
+function ensureRecord(job) {
+  return Job.updateOne({ name: job.name }, { $setOnInsert: { next_run: new Date() } }, { upsert: true }).exec();
+}
+
+// Start a job now, whatever its schedule, without waiting for it to finish. This also works on
+// instances that do not poll (SCHEDULER_ENABLED=false). Returns the job record as the run starts,
+// or null if the job is unknown or already running.
+exports.runNow = async (name) => {
+  const job = jobs.get(name);
+  if (!job) {
+    return null;
+  }
+  await ensureRecord(job);
+  const claimed = await claim(job, true);
+  if (claimed !== null) {
+    execute(job).catch((err) => debug('%s: recording the run failed: %O', job.name, err));
+  }
+  return claimed;
+};
+
+// Create the records of new jobs and start polling.
+exports.start = async () => {
+  if (timer !== null) {
+    return;
+  }
+  await Promise.all(exports.definitions().map(ensureRecord));
+  const poll = () => exports.tick().catch((err) => debug('poll failed: %O', err));
+  timer = setInterval(poll, config.schedulerPollSeconds * 1000);
+  // Polling alone does not keep the process alive.
+  timer.unref();
+  poll();
+};
+
+exports.stop = () => {
+  clearInterval(timer);
+  timer = null;
+};
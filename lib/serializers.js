@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+// Plain JSON shapes of the catalog models, used by the API and the exports.
+
+// Serialize a reference: populated documents in full, otherwise just the id.
+function ref(value, serializer) {
+  return value instanceof mongoose.Document ? serializer(value) : value;
+}
+
+exports.author = (author) => ({
+  id: author.id,
+  first_name: author.first_name,
+  middle_name: author.middle_name || null,
+  family_name: author.family_name,
+  family_name_first: Boolean(author.family_name_first),
+  name: author.name,
+  sort_name: author.sort_name,
+  date_of_birth: author.date_of_birth || null,
+  date_of_death: author.date_of_death || null,
+  pseudonym_of: author.pseudonym_of ? ref(author.pseudonym_of, exports.author) : null,
+  url: author.url,
+});
+
+exports.genre = (genre) => ({
+  id: genre.id,
+  name: genre.name,
+  parent: genre.parent ? ref(genre.parent, exports.genre) : null,
+  url: genre.url,
+});
+
+exports.branch = (branch) => ({
+  id: branch.id,
+  name: branch.name,
+  address: branch.address || null,
+  url: branch.url,
+});
+
+exports.book = (book) => ({
+  id: book.id,
+  title: book.title,
+  subtitle: book.subtitle || null,
+  author: ref(book.author, exports.author),
+  contributors: (book.contributors || []).map((contributor) => ({
+    author: ref(contributor.author, exports.author),
+    role: contributor.role,
+  })),
+  summary: book.summary,
+  publisher: book.publisher || null,
+  publication_year: book.publication_year ?? null,
+  language: book.language || null,
+  page_count: book.page_count ?? null,
+  edition: book.edition || null,
+  series: book.series || null,
+  series_number: book.series_number ?? null,
+  isbn: book.isbn,
+  genre: book.genre.map((genre) => ref(genre, exports.genre)),
+  cover: book.cover_detail_url ? { list: book.cover_list_url, detail: book.cover_detail_url } : null,
+  url: book.url,
+});
+
+exports.bookInstance = (bookInstance) => ({
+  id: bookInstance.id,
+  book: ref(bookInstance.book, exports.book),
+  imprint: bookInstance.imprint,
+  barcode: bookInstance.barcode || null,
+  call_number: bookInstance.call_number || null,
+  branch: bookInstance.branch ? ref(bookInstance.branch, exports.branch) : null,
+  acquired: bookInstance.acquired || null,
+  price: typeof bookInstance.price === 'number' ? bookInstance.price / 100 : null, // in currency units
+  condition: bookInstance.condition || null,
+  status: bookInstance.status,
+  due_back: bookInstance.due_back || null,
+  url: bookInstance.url,
+});
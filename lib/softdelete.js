@@ -0,0 +1,41 @@
+// Schema plugin for soft deletion. Deleted records keep their data and get a `deleted_at` date;
+// queries leave them out unless the filter mentions `deleted_at` or the query has the
+// `withDeleted` option, e.g. Book.find({ author }).setOptions({ withDeleted: true }) or
+// populate({ path: 'book', options: { withDeleted: true } }).
+
+const FILTERED_QUERIES = [
+  'countDocuments',
+  'distinct',
+  'find',
+  'findOne',
+  'findOneAndDelete',
+  'findOneAndReplace',
+  'findOneAndUpdate',
+  'replaceOne',
+  'updateMany',
+  'updateOne',
+];
+
+module.exports = function softDelete(schema) {
+  schema.add({ deleted_at: { type: Date, default: null } });
+
+  schema.pre(FILTERED_QUERIES, function () {
+    if (!this.getOptions().withDeleted && !('deleted_at' in this.getFilter())) {
+      this.where({ deleted_at: null });
+    }
+  });
+
+  // Move a record to the trash. Returns the trashed document, or null if there was none.
+  schema.statics.softDeleteById = function (id) {
+    return this.findOneAndUpdate({ _id: id, deleted_at: null }, { deleted_at: new Date() }, { new: true }).exec();
+  };
+
+  // Records in the trash, most recently deleted first.
+  schema.statics.findDeleted = function (filter = {}) {
+    return this.find({ ...filter, deleted_at: { $ne: null } }).sort({ deleted_at: -1 });
+  };
+
+  schema.virtual('is_deleted').get(function () {
+    return Boolean(this.deleted_at);
+  });
+};
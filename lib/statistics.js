@@ -0,0 +1,208 @@
+const { DateTime } = require('luxon');
+const Author = require('../models/author');
+const Book = require('../models/book');
+const BookInstance = require('../models/bookinstance');
+const Branch = require('../models/branch');
+const Genre = require('../models/genre');
+const Loan = require('../models/loan');
+const { overdueBefore } = require('./circulation');
+const { plain } = require('./entities');
+
+// Circulation statistics for the staff dashboard, computed with aggregation pipelines.
+// Aggregations skip the soft-delete filter, so every pipeline leaves out trashed records itself.
+// $dateTrunc and $dateDiff need MongoDB 5.0 or later.
+// Labels are plain text (names and titles are stored escaped); the view escapes them.
+
+// Loan periods the dashboard offers: bucket size and how many buckets to show.
+exports.PERIODS = {
+  day: { label: 'Per day', count: 30, format: 'LLL d' },
+  week: { label: 'Per week', count: 12, format: "'Week of' LLL d" },
+  month: { label: 'Per month', count: 12, format: 'LLL yyyy' },
+};
+
+// Start of the first bucket shown for a period, e.g. 29 days before the start of today.
+exports.since = (unit, now = new Date()) => {
+  const { count } = exports.PERIODS[unit];
+  return DateTime.fromJSDate(now).toUTC().startOf(unit).minus({ [unit]: count - 1 }).toJSDate();
+};
+
+// From each loan to its (untrashed) book, as `book`.
+const LOAN_BOOK_STAGES = [
+  {
+    $lookup: { from: BookInstance.collection.name, localField: 'book_instance', foreignField: '_id', as: 'copy' },
+  },
+  { $unwind: '$copy' },
+  { $lookup: { from: Book.collection.name, localField: 'copy.book', foreignField: '_id', as: 'book' } },
+  { $unwind: '$book' },
+  { $match: { 'book.deleted_at': null } },
+];
+
+// Join the record a group is about (the group _id) as `record`, dropping trashed ones.
+function recordStages(Model) {
+  return [
+    { $lookup: { from: Model.collection.name, localField: '_id', foreignField: '_id', as: 'record' } },
+    { $unwind: '$record' },
+    { $match: { 'record.deleted_at': null } },
+  ];
+}
+
+// Number of loans per day, week or month since `since`, with empty buckets filled in:
+// [{ label, value }].
+exports.loansOverTime = async (unit, since, now = new Date()) => {
+  const trunc = { date: '$checked_out', unit, timezone: 'UTC' };
+  if (unit === 'week') {
+    trunc.startOfWeek = 'monday';
+  }
+  const rows = await Loan.aggregate([
+    { $match: { checked_out: { $gte: since } } },
+    { $group: { _id: { $dateTrunc: trunc }, loans: { $sum: 1 } } },
+  ]).exec();
+  const counts = new Map(rows.map((row) => [row._id.toISOString(), row.loans]));
+
+  const buckets = [];
+  const end = DateTime.fromJSDate(now).toUTC();
+  for (let start = DateTime.fromJSDate(since).toUTC(); start <= end; start = start.plus({ [unit]: 1 })) {
+    buckets.push({
+      label: start.toFormat(exports.PERIODS[unit].format),
+      value: counts.get(start.toJSDate().toISOString()) || 0,
+    });
+  }
+  return buckets;
+};
+
+// Books lent most often since `since`: [{ label, url, value }].
+exports.mostBorrowedTitles = async (since, limit = 10) => {
+  const rows = await Loan.aggregate([
+    { $match: { checked_out: { $gte: since } } },
+    ...LOAN_BOOK_STAGES,
+    { $group: { _id: '$book._id', title: { $first: '$book.title' }, loans: { $sum: 1 } } },
+    { $sort: { loans: -1, title: 1 } },
+    { $limit: limit },
+  ]).exec();
+  return rows.map((row) => ({ label: plain(row.title), url: `/catalog/book/${row._id}`, value: row.loans }));
+};
+
+// Authors whose books were lent most often since `since` (main authors only):
+// [{ label, url, value }].
+exports.mostBorrowedAuthors = async (since, limit = 10) => {
+  const rows = await Loan.aggregate([
+    { $match: { checked_out: { $gte: since } } },
+    ...LOAN_BOOK_STAGES,
+    { $group: { _id: '$book.author', loans: { $sum: 1 } } },
+    ...recordStages(Author),
+    { $sort: { loans: -1, 'record.family_name': 1 } },
+    { $limit: limit },
+  ]).exec();
+  return rows.map((row) => {
+    const author = Author.hydrate(row.record);
+    return { label: plain(author.name), url: author.url, value: row.loans };
+  });
+};
+
+// Genres whose books were lent most often since `since`. A loan counts for each genre of its
+// book. [{ label, url, value }].
+exports.genrePopularity = async (since, limit = 10) => {
+  const rows = await Loan.aggregate([
+    { $match: { checked_out: { $gte: since } } },
+    ...LOAN_BOOK_STAGES,
+    { $unwind: '$book.genre' },
+    { $group: { _id: '$book.genre', loans: { $sum: 1 } } },
+    ...recordStages(Genre),
+    { $sort: { loans: -1, 'record.name': 1 } },
+    { $limit: limit },
+  ]).exec();
+  return rows.map((row) => ({ label: plain(row.record.name), url: `/catalog/genre/${row._id}`, value: row.loans }));
+};
+
+// Percentage, rounded to a whole number (0 when there is nothing to divide).
+function percent(part, total) {
+  return total ? Math.round((part / total) * 100) : 0;
+}
+
+// How the copies are used: their current statuses, the share on loan per branch, and how many
+// were lent at least once since `since`.
+exports.copyUtilization = async (since) => {
+  const [facets] = await BookInstance.aggregate([
+    { $match: { deleted_at: null } },
+    {
+      $facet: {
+        byStatus: [{ $group: { _id: '$status', copies: { $sum: 1 } } }, { $sort: { copies: -1 } }],
+        byBranch: [
+          {
+            $group: {
+              _id: '$branch',
+              copies: { $sum: 1 },
+              loaned: { $sum: { $cond: [{ $eq: ['$status', 'Loaned'] }, 1, 0] } },
+            },
+          },
+          { $lookup: { from: Branch.collection.name, localField: '_id', foreignField: '_id', as: 'branch' } },
+          { $sort: { 'branch.name': 1 } },
+        ],
+      },
+    },
+  ]).exec();
+
+  const lentIds = await Loan.distinct('book_instance', { checked_out: { $gte: since } }).exec();
+  const [total, lent] = await Promise.all([
+    BookInstance.countDocuments().exec(),
+    BookInstance.countDocuments({ _id: { $in: lentIds } }).exec(),
+  ]);
+  const loaned = facets.byStatus.find((row) => row._id === 'Loaned');
+
+  return {
+    total,
+    loaned_rate: percent(loaned ? loaned.copies : 0, total),
+    lent,
+    lent_rate: percent(lent, total),
+    by_status: facets.byStatus.map((row) => ({ label: row._id, value: row.copies })),
+    by_branch: facets.byBranch.map((row) => ({
+      label: row.branch.length ? plain(row.branch[0].name) : 'No branch',
+      url: row.branch.length ? `/catalog/branch/${row._id}` : null,
+      copies: row.copies,
+      loaned: row.loaned,
+      value: percent(row.loaned, row.copies),
+    })),
+  };
+};
+
+// Copies on loan past their due date: the total, per branch and by how late they are.
+exports.overdue = async (now = new Date()) => {
+  const today = overdueBefore(now);
+  const [facets] = await BookInstance.aggregate([
+    { $match: { deleted_at: null, status: 'Loaned', due_back: { $lt: today } } },
+    {
+      $facet: {
+        total: [{ $count: 'copies' }],
+        byBranch: [
+          { $group: { _id: '$branch', copies: { $sum: 1 } } },
+          { $lookup: { from: Branch.collection.name, localField: '_id', foreignField: '_id', as: 'branch' } },
+          { $sort: { copies: -1 } },
+        ],
+        byLateness: [
+          {
+            $bucket: {
+              groupBy: { $dateDiff: { startDate: '$due_back', endDate: today, unit: 'day', timezone: 'UTC' } },
+              boundaries: [1, 8, 31],
+              default: 'later',
+              output: { copies: { $sum: 1 } },
+            },
+          },
+        ],
+      },
+    },
+  ]).exec();
+
+  const lateness = { 1: '1–7 days', 8: '8–30 days', later: 'Over 30 days' };
+  return {
+    total: facets.total.length ? facets.total[0].copies : 0,
+    by_branch: facets.byBranch.map((row) => ({
+      label: row.branch.length ? plain(row.branch[0].name) : 'No branch',
+      url: row.branch.length ? `/catalog/bookinstances/overdue?branch=${row._id}` : null,
+      value: row.copies,
+    })),
+    by_lateness: Object.entries(lateness).map(([key, label]) => {
+      const bucket = facets.byLateness.find((row) => String(row._id) === key);
+      return { label, value: bucket ? bucket.copies : 0 };
+    }),
+  };
+};
@@ -0,0 +1,24 @@
+const config = require('../../config');
+
+// Storage for uploaded files. A driver is a module with a `name` and
+//   save(key, buffer, contentType) -> Promise, remove(key) -> Promise, url(key) -> public URL,
+// where keys are relative paths such as "covers/<book id>/detail.jpg". The driver is chosen with
+// STORAGE_DRIVER; add new ones (such as S3-compatible storage) to DRIVERS.
+
+const DRIVERS = {
+  local: require('./local'),
+};
+
+function driver() {
+  const selected = DRIVERS[config.storageDriver];
+  if (!selected) {
+    throw new Error(`Unknown storage driver "${config.storageDriver}"`);
+  }
+  return selected;
+}
+
+exports.save = (key, buffer, contentType) => driver().save(key, buffer, contentType);
+
+exports.remove = (key) => driver().remove(key);
+
+exports.url = (key) => driver().url(key);
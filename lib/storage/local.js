@@ -0,0 +1,27 @@
+const fs = require('fs/promises');
+const path = require('path');
+const config = require('../../config');
+
+// Files on the local disk, under UPLOAD_DIR. app.js serves them under UPLOAD_URL.
+
+function filePath(key) {
+  const file = path.resolve(config.uploadDir, key);
+  if (!file.startsWith(path.resolve(config.uploadDir) + path.sep)) {
+    throw new Error(`Invalid storage key "${key}"`);
+  }
+  return file;
+}
+
+exports.name = 'local';
+
+exports.save = async (key, buffer) => {
+  const file = filePath(key);
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  await fs.writeFile(file, buffer);
+};
+
+exports.remove = async (key) => {
+  await fs.rm(filePath(key), { force: true });
+};
+
+exports.url = (key) => `${config.uploadUrl}/${key}`;
@@ -0,0 +1,174 @@
+const Author = require('../models/author');
+const Book = require('../models/book');
+const BookInstance = require('../models/bookinstance');
+const Genre = require('../models/genre');
+const covers = require('./covers');
+
+// The trash: deleted books, authors, genres and copies, with the checks that keep references
+// intact when one is restored or purged for good.
+
+const withDeleted = { withDeleted: true };
+
+// Reasons a trashed book cannot come back: its authors, contributors or genres are not in the catalog.
+async function bookRestoreProblems(book) {
+  const problems = [];
+  const authorIds = [book.author, ...book.contributors.map((contributor) => contributor.author)];
+  const [authors, genres] = await Promise.all([
+    Author.find({ _id: { $in: authorIds } }).setOptions(withDeleted).exec(),
+    Genre.find({ _id: { $in: book.genre } }).setOptions(withDeleted).exec(),
+  ]);
+  if (!authors.some((author) => author._id.equals(book.author))) {
+    problems.push('Its author no longer exists');
+  }
+  if (book.contributors.some((contributor) => !authors.some((author) => author._id.equals(contributor.author)))) {
+    problems.push('One of its contributors no longer exists');
+  }
+  for (const author of authors) {
+    if (author.is_deleted) {
+      problems.push(`Its author ${author.name} is in the trash; restore the author first`);
+    }
+  }
+  for (const genre of genres) {
+    if (genre.is_deleted) {
+      problems.push(`Its genre ${genre.name} is in the trash; restore the genre first`);
+    }
+  }
+  return problems;
+}
+
+async function bookInstanceRestoreProblems(bookInstance) {
+  const book = await Book.findById(bookInstance.book).setOptions(withDeleted).exec();
+  if (book === null) {
+    return ['Its book no longer exists'];
+  }
+  if (book.is_deleted) {
+    return [`Its book ${book.title} is in the trash; restore the book first`];
+  }
+  return [];
+}
+
+// A pen name comes back only with its real author.
+async function authorRestoreProblems(author) {
+  if (!author.pseudonym_of) {
+    return [];
+  }
+  const real = await Author.findById(author.pseudonym_of).setOptions(withDeleted).exec();
+  if (real === null) {
+    return ['Its real author no longer exists'];
+  }
+  return real.is_deleted ? [`Its real author ${real.name} is in the trash; restore the real author first`] : [];
+}
+
+async function genreRestoreProblems(genre) {
+  const [sameName, parent] = await Promise.all([
+    Genre.findOne({ name: genre.name }).exec(),
+    genre.parent ? Genre.findById(genre.parent).setOptions(withDeleted).exec() : null,
+  ]);
+  const problems = sameName ? [`Another genre is already called ${genre.name}`] : [];
+  if (genre.parent && parent === null) {
+    problems.push('Its parent genre no longer exists');
+  } else if (parent && parent.is_deleted) {
+    problems.push(`Its parent genre ${parent.name} is in the trash; restore it first`);
+  }
+  return problems;
+}
+
+// Purging removes a record for good, so nothing may point to it, not even records in the trash.
+async function bookPurgeProblems(book) {
+  const copies = await BookInstance.countDocuments({ book: book._id }).setOptions(withDeleted).exec();
+  return copies ? [`${book.title} still has ${copies} copies (possibly in the trash); purge them first`] : [];
+}
+
+async function authorPurgeProblems(author) {
+  const [books, penNames] = await Promise.all([
+    Book.countDocuments(Book.authorFilter(author._id)).setOptions(withDeleted).exec(),
+    Author.countDocuments({ pseudonym_of: author._id }).setOptions(withDeleted).exec(),
+  ]);
+  const problems = books ? [`${author.name} still has ${books} books (possibly in the trash); purge them first`] : [];
+  if (penNames) {
+    problems.push(`${author.name} still has ${penNames} pen names (possibly in the trash)`);
+  }
+  return problems;
+}
+
+async function genrePurgeProblems(genre) {
+  const [books, subgenres] = await Promise.all([
+    Book.countDocuments({ genre: genre._id }).setOptions(withDeleted).exec(),
+    Genre.countDocuments({ parent: genre._id }).setOptions(withDeleted).exec(),
+  ]);
+  const problems = books ? [`${genre.name} is still used by ${books} books (possibly in the trash)`] : [];
+  if (subgenres) {
+    problems.push(`${genre.name} still has ${subgenres} sub-genres (possibly in the trash)`);
+  }
+  return problems;
+}
+
+const noProblems = async () => [];
+
+exports.TYPES = {
+  books: {
+    Model: Book,
+    title: 'Books',
+    load: () => Book.findDeleted().populate({ path: 'author', options: withDeleted }).exec(),
+    label: (book) => book.title,
+    restoreProblems: bookRestoreProblems,
+    purgeProblems: bookPurgeProblems,
+  },
+  authors: {
+    Model: Author,
+    title: 'Authors',
+    load: () => Author.findDeleted().exec(),
+    label: (author) => author.name,
+    restoreProblems: authorRestoreProblems,
+    purgeProblems: authorPurgeProblems,
+  },
+  genres: {
+    Model: Genre,
+    title: 'Genres',
+    load: () => Genre.findDeleted().exec(),
+    label: (genre) => genre.name,
+    restoreProblems: genreRestoreProblems,
+    purgeProblems: genrePurgeProblems,
+  },
+  bookinstances: {
+    Model: BookInstance,
+    title: 'Book instances',
+    load: () => BookInstance.findDeleted().populate({ path: 'book', select: 'title', options: withDeleted }).exec(),
+    label: (bookInstance) => `${bookInstance.book ? bookInstance.book.title : '?'} : ${bookInstance.imprint}`,
+    restoreProblems: bookInstanceRestoreProblems,
+    purgeProblems: noProblems,
+  },
+};
+
+// Everything in the trash, by type.
+exports.contents = async () => {
+  const types = Object.keys(exports.TYPES);
+  const lists = await Promise.all(types.map((type) => exports.TYPES[type].load()));
+  return Object.fromEntries(types.map((type, index) => [type, lists[index]]));
+};
+
+// Find one trashed record of a type. Returns null if it is not in the trash.
+exports.findTrashed = (type, id) =>
+  exports.TYPES[type].Model.findOne({ _id: id, deleted_at: { $ne: null } }).exec();
+
+// Take a record out of the trash. Returns the reasons it could not be restored, if any.
+exports.restore = async (type, doc) => {
+  const problems = await exports.TYPES[type].restoreProblems(doc);
+  if (problems.length === 0) {
+    await doc.constructor.updateOne({ _id: doc._id, deleted_at: { $ne: null } }, { deleted_at: null }).exec();
+    doc.deleted_at = null;
+  }
+  return problems;
+};
+
+// Remove a record from the trash for good. Returns the reasons it could not be purged, if any.
+exports.purge = async (type, doc) => {
+  const problems = await exports.TYPES[type].purgeProblems(doc);
+  if (problems.length === 0) {
+    await doc.constructor.deleteOne({ _id: doc._id, deleted_at: { $ne: null } }).exec();
+    if (type === 'books') {
+      await covers.remove(doc.cover);
+    }
+  }
+  return problems;
+};
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+const { DateTime } = require('luxon');
+
+const Schema = mongoose.Schema;
+
+// One change made to a catalog record: who did it, what it was and which fields changed.
+const AuditLogSchema = new Schema({
+  actor: { type: Schema.Types.ObjectId, ref: 'User' }, // empty for scripts and scheduled work
+  actor_name: { type: String, required: true }, // kept when the account is deleted
+  action: {
+    type: String,
+    required: true,
+    enum: ['create', 'update', 'delete', 'restore', 'purge', 'merge'],
+  },
+  entity_type: {
+    type: String,
+    required: true,
+    enum: ['Author', 'Book', 'BookInstance', 'Branch', 'Genre'],
+  },
+  entity_id: { type: Schema.Types.ObjectId, required: true },
+  label: { type: String }, // title or name of the record at the time
+  changes: [
+    {
+      _id: false,
+      field: { type: String, required: true },
+      before: Schema.Types.Mixed,
+      after: Schema.Types.Mixed,
+    },
+  ],
+  date: { type: Date, required: true, default: Date.now },
+});
+
+AuditLogSchema.index({ entity_type: 1, entity_id: 1, date: -1 });
+AuditLogSchema.index({ date: -1 });
+
+// Virtual for the page of the changed record (gone once it is deleted).
+AuditLogSchema.virtual('entity_url').get(function () {
+  return `/catalog/${this.entity_type.toLowerCase()}/${this.entity_id}`;
+});
+
+AuditLogSchema.virtual('date_formatted').get(function () {
+  return DateTime.fromJSDate(this.date).toUTC().toLocaleString(DateTime.DATETIME_MED);
+});
+
+module.exports = mongoose.model('AuditLog', AuditLogSchema);
@@ -1,23 +1,33 @@
 const mongoose = require('mongoose');
 const { DateTime } = require('luxon');
+const softDelete = require('../lib/softdelete');
+const names = require('../lib/names');
 
 const Schema = mongoose.Schema;
 
 const AuthorSchema = new Schema({
   first_name: { type: String, required: true, maxLength: 100 },
+  middle_name: { type: String, maxLength: 100 },
   family_name: { type: String, required: true, maxLength: 100 },
+  family_name_first: { type: Boolean, default: false }, // written family name first, e.g. "Mao Zedong"
   date_of_birth: { type: Date },
   date_of_death: { type: Date },
+  pseudonym_of: { type: Schema.Types.ObjectId, ref: 'Author', default: null }, // the real author of a pen name
 });
 
-// Virtual for author's full name
+AuthorSchema.index({ pseudonym_of: 1 });
+
+// Text index used by the catalog search.
+AuthorSchema.index({ first_name: 'text', middle_name: 'text', family_name: 'text' }, { name: 'author_text' });
+
+// Virtual for author's full name, in the configured display order
 AuthorSchema.virtual('name').get(function () {
-  let fullname = '';
-  if (this.first_name && this.family_name) {
-    fullname = `${this.first_name}, ${this.family_name}`;
-  }
+  return names.displayName(this);
+});
 
-  return fullname
+// Virtual for author's name as sorted: "Family, Given Middle"
+AuthorSchema.virtual('sort_name').get(function () {
+  return names.invertedName(this);
 });
 
 // Virtual for author's URL
@@ -57,4 +67,41 @@ AuthorSchema.virtual('iso_date_of_death').get(function () {
   }
 });
 
+// Authors in name order: by family name, then given and middle names, accents sorting with
+// their base letters.
+AuthorSchema.statics.findSorted = function (filter = {}, projection = null) {
+  return this.find(filter, projection)
+    .sort({ family_name: 1, first_name: 1, middle_name: 1, _id: 1 })
+    .collation(names.COLLATION);
+};
+
+// Why `realId` cannot be the real author of the pen name `id` (null for a new author), or null
+// if it can. Pen names point at the real author directly, so the real author cannot be a pen name
+// itself and an author that has pen names cannot become one.
+AuthorSchema.statics.pseudonymProblem = async function (realId, id = null) {
+  if (!realId) {
+    return null;
+  }
+  if (id && String(realId) === String(id)) {
+    return 'An author cannot be their own pen name';
+  }
+  const [real, penNames] = await Promise.all([
+    this.findById(realId, 'pseudonym_of').exec(),
+    id ? this.countDocuments({ pseudonym_of: id }).exec() : 0,
+  ]);
+  if (real === null) {
+    return 'Real author not found';
+  }
+  if (real.pseudonym_of) {
+    return 'The real author is a pen name; choose the author behind it';
+  }
+  if (penNames > 0) {
+    return 'This author has pen names and cannot be a pen name';
+  }
+  return null;
+};
+
+// Deleted authors go to the trash.
+AuthorSchema.plugin(softDelete);
+
 module.exports = mongoose.model('Author', AuthorSchema);
\ No newline at end of file
@@ -1,13 +1,78 @@
 const mongoose = require('mongoose');
+const isbn = require('../lib/isbn');
+const softDelete = require('../lib/softdelete');
+const storage = require('../lib/storage');
 
 const Schema = mongoose.Schema;
 
+// People other than the main author who worked on a book, and in what role.
+const ContributorSchema = new Schema(
+  {
+    author: { type: Schema.Types.ObjectId, ref: 'Author', required: true },
+    role: {
+      type: String,
+      required: true,
+      enum: ['Author', 'Editor', 'Translator', 'Illustrator'],
+      default: 'Author',
+    },
+  },
+  { _id: false }
+);
+
 const BookSchema = new Schema({
   title: { type: String, required: true },
-  author: { type: Schema.Types.ObjectId, ref: 'Author', required: true },
+  subtitle: { type: String },
+  author: { type: Schema.Types.ObjectId, ref: 'Author', required: true }, // main author
+  contributors: [ContributorSchema],
   summary: { type: String, required: true },
-  isbn: { type: String, required: true },
+  publisher: { type: String },
+  publication_year: { type: Number, min: 0, max: 9999 },
+  language: { type: String },
+  page_count: { type: Number, min: 1 },
+  edition: { type: String }, // e.g. "2nd", "Revised"
+  series: { type: String },
+  series_number: { type: Number, min: 0 },
+  isbn: {
+    type: String,
+    required: true,
+    unique: true, // one record per edition
+    validate: { validator: isbn.isCanonical, message: 'ISBN must be a valid ISBN-13 without hyphens' },
+  },
   genre: [{ type: Schema.Types.ObjectId, ref: 'Genre' }],
+  // Storage keys of the cover image and its thumbnails (see lib/covers.js).
+  cover: new Schema({ original: String, list: String, detail: String }, { _id: false }),
+});
+
+// Text index used by the catalog search. Title matches rank highest.
+BookSchema.index(
+  { title: 'text', isbn: 'text', summary: 'text' },
+  { weights: { title: 10, isbn: 10, summary: 2 }, name: 'book_text' }
+);
+
+// Find the book already using an ISBN, ignoring the book being edited.
+BookSchema.statics.findByIsbn = function (value, excludeId) {
+  const filter = { isbn: value };
+  if (excludeId) {
+    filter._id = { $ne: excludeId };
+  }
+  // Books in the trash still hold their ISBN.
+  return this.findOne(filter, 'title isbn deleted_at').setOptions({ withDeleted: true }).exec();
+};
+
+// Filter for the books an author wrote or contributed to.
+BookSchema.statics.authorFilter = function (authorId) {
+  return { $or: [{ author: authorId }, { 'contributors.author': authorId }] };
+};
+
+// Title with its subtitle.
+BookSchema.virtual('full_title').get(function () {
+  return this.subtitle ? `${this.title}: ${this.subtitle}` : this.title;
+});
+
+// Publisher, year and edition as one line, e.g. "Penguin, 2003, 2nd ed.".
+BookSchema.virtual('publication').get(function () {
+  const parts = [this.publisher, this.publication_year, this.edition && `${this.edition} ed.`];
+  return parts.filter(Boolean).join(', ');
 });
 
 // Virtual for book's URL
@@ -16,5 +81,17 @@ BookSchema.virtual('url').get(function () {
   return `/catalog/book/${this._id}`;
 });
 
+// Deleted books go to the trash.
+BookSchema.plugin(softDelete);
+
+// Virtuals for the cover images (null without a cover).
+BookSchema.virtual('cover_list_url').get(function () {
+  return this.cover && this.cover.list ? storage.url(this.cover.list) : null;
+});
+
+BookSchema.virtual('cover_detail_url').get(function () {
+  return this.cover && this.cover.detail ? storage.url(this.cover.detail) : null;
+});
+
 // Export model
 module.exports = mongoose.model('Book', BookSchema);
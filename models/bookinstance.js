@@ -1,20 +1,43 @@
 const mongoose = require('mongoose');
 const { DateTime } = require('luxon');
+const softDelete = require('../lib/softdelete');
 
 const Schema = mongoose.Schema;
 
 const BookInstanceSchema = new Schema({
   book: { type: Schema.Types.ObjectId, ref: 'Book', required: true }, // reference to the associated book
   imprint: { type: String, required: true },
+  // Accession number printed on the copy's barcode label. Copies catalogued before barcodes
+  // were introduced may not have one yet.
+  barcode: { type: String, unique: true, sparse: true },
+  call_number: { type: String }, // shelf location, e.g. "823.912 TOL"
+  branch: { type: Schema.Types.ObjectId, ref: 'Branch' }, // where the copy lives
+  acquired: { type: Date },
+  price: { type: Number, min: 0 }, // in cents
+  condition: { type: String, maxLength: 500 }, // notes on wear and damage
   status: {
     type: String,
     required: true,
-    enum: ['Available', 'Maintenance', 'Loaned', 'Reserved'],
+    enum: ['Available', 'Maintenance', 'Loaned', 'Reserved', 'In transit'],
     default: 'Maintenance',
   },
   due_back: { type: Date, default: Date.now },
+  borrower: { type: Schema.Types.ObjectId, ref: 'Patron' }, // set while the copy is on loan
 });
 
+// Statuses only the circulation actions (loans, holds and transfers) set and clear.
+BookInstanceSchema.statics.CIRCULATION_STATUSES = ['Loaned', 'Reserved', 'In transit'];
+
+// Find the copy using a barcode, ignoring the copy being edited.
+BookInstanceSchema.statics.findByBarcode = function (value, excludeId) {
+  const filter = { barcode: value };
+  if (excludeId) {
+    filter._id = { $ne: excludeId };
+  }
+  // Copies in the trash still hold their barcode.
+  return this.findOne(filter, 'barcode imprint deleted_at').setOptions({ withDeleted: true }).exec();
+};
+
 // Virtual for bookinstance's URL
 BookInstanceSchema.virtual('url').get(function () {
   // We don't use an arrow function as we'll need the this object
@@ -22,12 +45,27 @@ BookInstanceSchema.virtual('url').get(function () {
 });
 
 BookInstanceSchema.virtual('due_back_formatted').get(function () {
-  return DateTime.fromJSDate(this.due_back).toUTC().toLocaleString(DateTime.DATE_MED);
+  return this.due_back ? DateTime.fromJSDate(this.due_back).toUTC().toLocaleString(DateTime.DATE_MED) : ' ';
 });
 
 BookInstanceSchema.virtual('iso_due_back').get(function () {
-  return DateTime.fromJSDate(this.due_back).toUTC().toISODate();
+  return this.due_back ? DateTime.fromJSDate(this.due_back).toUTC().toISODate() : '';
 });
 
+BookInstanceSchema.virtual('acquired_formatted').get(function () {
+  return this.acquired ? DateTime.fromJSDate(this.acquired).toUTC().toLocaleString(DateTime.DATE_MED) : '';
+});
+
+BookInstanceSchema.virtual('iso_acquired').get(function () {
+  return this.acquired ? DateTime.fromJSDate(this.acquired).toUTC().toISODate() : '';
+});
+
+BookInstanceSchema.virtual('price_formatted').get(function () {
+  return typeof this.price === 'number' ? (this.price / 100).toFixed(2) : '';
+});
+
+// Deleted copies go to the trash.
+BookInstanceSchema.plugin(softDelete);
+
 // Export model
 module.exports = mongoose.model('BookInstance', BookInstanceSchema);
@@ -0,0 +1,15 @@
+const mongoose = require('mongoose');
+
+const Schema = mongoose.Schema;
+
+// A location of the library. Every copy lives at one branch.
+const BranchSchema = new Schema({
+  name: { type: String, required: true, unique: true, maxLength: 100 },
+  address: { type: String, maxLength: 200 },
+});
+
+BranchSchema.virtual('url').get(function () {
+  return `/catalog/branch/${this._id}`;
+});
+
+module.exports = mongoose.model('Branch', BranchSchema);
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+const { DateTime } = require('luxon');
+
+const Schema = mongoose.Schema;
+
+// One entry of a patron's fines ledger. Amounts are stored in cents.
+const FineSchema = new Schema({
+  patron: { type: Schema.Types.ObjectId, ref: 'Patron', required: true },
+  loan: { type: Schema.Types.ObjectId, ref: 'Loan' }, // the late loan a charge was made for
+  kind: {
+    type: String,
+    required: true,
+    enum: ['Charge', 'Payment', 'Waiver'],
+  },
+  amount: { type: Number, required: true, min: 1 },
+  date: { type: Date, required: true, default: Date.now },
+  note: { type: String, maxLength: 200 },
+});
+
+FineSchema.index({ patron: 1, date: -1 });
+
+// Charges raise the balance owed, payments and waivers lower it.
+FineSchema.virtual('signed_amount').get(function () {
+  return this.kind === 'Charge' ? this.amount : -this.amount;
+});
+
+FineSchema.virtual('amount_formatted').get(function () {
+  return (this.amount / 100).toFixed(2);
+});
+
+FineSchema.virtual('date_formatted').get(function () {
+  return DateTime.fromJSDate(this.date).toUTC().toLocaleString(DateTime.DATE_MED);
+});
+
+// Outstanding balance of a patron, in cents.
+FineSchema.statics.balanceFor = async function (patronId) {
+  const [result] = await this.aggregate([
+    { $match: { patron: new mongoose.Types.ObjectId(patronId) } },
+    {
+      $group: {
+        _id: null,
+        balance: {
+          $sum: { $cond: [{ $eq: ['$kind', 'Charge'] }, '$amount', { $multiply: ['$amount', -1] }] },
+        },
+      },
+    },
+  ]).exec();
+
+  return result ? result.balance : 0;
+};
+
+module.exports = mongoose.model('Fine', FineSchema);
@@ -1,13 +1,55 @@
 const mongoose = require('mongoose');
+const softDelete = require('../lib/softdelete');
 
 const Schema = mongoose.Schema;
 
 const GenreSchema = new Schema({
-  name: { type: String, required: true, maxLength: 100, minLength: 3 }
+  name: { type: String, required: true, maxLength: 100, minLength: 3 },
+  parent: { type: Schema.Types.ObjectId, ref: 'Genre', default: null }, // broader genre, if any
 });
 
+GenreSchema.index({ parent: 1 });
+
+// Text index used by the catalog search.
+GenreSchema.index({ name: 'text' }, { name: 'genre_text' });
+
 GenreSchema.virtual('url').get(function () {
   return `/catalog/genre/${this._id}`;
 });
 
+// Ids of a genre and all its sub-genres, at any depth.
+GenreSchema.statics.withDescendants = async function (id) {
+  const ids = [new mongoose.Types.ObjectId(id)];
+  const seen = new Set(ids.map(String));
+  let level = ids;
+  while (level.length > 0) {
+    const children = await this.find({ parent: { $in: level } }, '_id').exec();
+    level = children.map((child) => child._id).filter((childId) => !seen.has(childId.toString()));
+    level.forEach((childId) => seen.add(childId.toString()));
+    ids.push(...level);
+  }
+  return ids;
+};
+
+// Why `parentId` cannot be the parent of the genre `id` (null for a new genre), or null if it can.
+// The parent must exist and must not be the genre itself or one of its sub-genres.
+GenreSchema.statics.parentProblem = async function (parentId, id = null) {
+  if (!parentId) {
+    return null;
+  }
+  if (!(await this.exists({ _id: parentId }))) {
+    return 'Parent genre not found';
+  }
+  if (id) {
+    const own = await this.withDescendants(id);
+    if (own.some((ownId) => ownId.equals(parentId))) {
+      return 'A genre cannot be placed under itself or one of its sub-genres';
+    }
+  }
+  return null;
+};
+
+// Deleted genres go to the trash.
+GenreSchema.plugin(softDelete);
+
 module.exports = mongoose.model('Genre', GenreSchema);
\ No newline at end of file
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+const { DateTime } = require('luxon');
+
+const Schema = mongoose.Schema;
+
+// A patron's place in the reservation queue of a Book.
+const HoldSchema = new Schema({
+  book: { type: Schema.Types.ObjectId, ref: 'Book', required: true },
+  patron: { type: Schema.Types.ObjectId, ref: 'Patron', required: true },
+  placed: { type: Date, required: true, default: Date.now },
+  status: {
+    type: String,
+    required: true,
+    enum: ['Waiting', 'Ready', 'Fulfilled', 'Cancelled', 'Expired'],
+    default: 'Waiting',
+  },
+  book_instance: { type: Schema.Types.ObjectId, ref: 'BookInstance' }, // copy set aside once Ready
+  expires: { type: Date }, // pickup deadline once Ready
+});
+
+HoldSchema.index({ book: 1, status: 1, placed: 1 });
+
+// Virtual telling whether the hold still counts in the queue
+HoldSchema.virtual('is_active').get(function () {
+  return this.status === 'Waiting' || this.status === 'Ready';
+});
+
+HoldSchema.virtual('placed_formatted').get(function () {
+  return DateTime.fromJSDate(this.placed).toUTC().toLocaleString(DateTime.DATE_MED);
+});
+
+HoldSchema.virtual('expires_formatted').get(function () {
+  if (this.expires) {
+    return DateTime.fromJSDate(this.expires).toUTC().toLocaleString(DateTime.DATE_MED);
+  } else {
+    return ' ';
+  }
+});
+
+module.exports = mongoose.model('Hold', HoldSchema);
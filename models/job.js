@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+const { DateTime } = require('luxon');
+
+const Schema = mongoose.Schema;
+
+// The stored state of a scheduled job (lib/scheduler.js). The job itself is defined in code;
+// this record says when it runs next, who is running it and how its last runs went.
+const JobSchema = new Schema({
+  name: { type: String, required: true, unique: true },
+  next_run: { type: Date, required: true, default: Date.now },
+  // Lease of the instance running the job. Another instance may take over once it has passed.
+  locked_by: { type: String, default: null },
+  locked_until: { type: Date, default: null },
+  last_started: { type: Date },
+  last_finished: { type: Date },
+  last_status: { type: String, enum: ['Succeeded', 'Failed'] },
+  last_result: { type: String }, // summary of the last successful run
+  runs: { type: Number, default: 0 },
+  failure_count: { type: Number, default: 0 },
+  failures: [
+    {
+      _id: false,
+      date: { type: Date, required: true },
+      error: { type: String, required: true },
+    },
+  ], // the most recent failures, newest last
+});
+
+// Virtual telling whether an instance is running the job now
+JobSchema.virtual('is_running').get(function () {
+  return Boolean(this.locked_until && this.locked_until > new Date());
+});
+
+function formatted(date) {
+  return date ? DateTime.fromJSDate(date).toUTC().toLocaleString(DateTime.DATETIME_MED) : ' ';
+}
+
+JobSchema.virtual('next_run_formatted').get(function () {
+  return formatted(this.next_run);
+});
+
+JobSchema.virtual('last_started_formatted').get(function () {
+  return formatted(this.last_started);
+});
+
+JobSchema.virtual('last_finished_formatted').get(function () {
+  return formatted(this.last_finished);
+});
+
+module.exports = mongoose.model('Job', JobSchema);
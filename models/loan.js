@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+const { DateTime } = require('luxon');
+
+const Schema = mongoose.Schema;
+
+// One checkout of a copy to a patron. The record stays open until the copy is returned.
+const LoanSchema = new Schema({
+  book_instance: { type: Schema.Types.ObjectId, ref: 'BookInstance', required: true },
+  patron: { type: Schema.Types.ObjectId, ref: 'Patron', required: true },
+  checked_out: { type: Date, required: true, default: Date.now },
+  due_back: { type: Date, required: true },
+  returned: { type: Date },
+  overdue_since: { type: Date }, // set by the mark-overdue-loans job once the loan is past due
+});
+
+LoanSchema.index({ book_instance: 1, checked_out: -1 });
+LoanSchema.index({ patron: 1, checked_out: -1 });
+
+LoanSchema.virtual('is_open').get(function () {
+  return !this.returned;
+});
+
+LoanSchema.virtual('checked_out_formatted').get(function () {
+  return DateTime.fromJSDate(this.checked_out).toUTC().toLocaleString(DateTime.DATE_MED);
+});
+
+LoanSchema.virtual('due_back_formatted').get(function () {
+  return DateTime.fromJSDate(this.due_back).toUTC().toLocaleString(DateTime.DATE_MED);
+});
+
+LoanSchema.virtual('returned_formatted').get(function () {
+  if (this.returned) {
+    return DateTime.fromJSDate(this.returned).toUTC().toLocaleString(DateTime.DATE_MED);
+  } else {
+    return ' ';
+  }
+});
+
+module.exports = mongoose.model('Loan', LoanSchema);
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+const { DateTime } = require('luxon');
+
+const Schema = mongoose.Schema;
+
+// An email sent (or being sent) to a patron by lib/notifications.js. The key names the event the
+// message is about, such as "overdue:<loan id>", so that each event is announced only once.
+const NotificationSchema = new Schema({
+  key: { type: String, required: true, unique: true },
+  kind: { type: String, required: true, enum: ['due_soon', 'overdue', 'hold_ready'] },
+  patron: { type: Schema.Types.ObjectId, ref: 'Patron', required: true },
+  loan: { type: Schema.Types.ObjectId, ref: 'Loan' },
+  hold: { type: Schema.Types.ObjectId, ref: 'Hold' },
+  to: { type: String, required: true },
+  subject: { type: String, required: true },
+  status: { type: String, required: true, enum: ['Sending', 'Sent', 'Failed'], default: 'Sending' },
+  transport: { type: String },
+  message_id: { type: String }, // as reported by the mail transport
+  error: { type: String }, // why the last attempt failed
+  attempts: { type: Number, default: 0 },
+  date: { type: Date, required: true, default: Date.now }, // of the last attempt
+});
+
+NotificationSchema.index({ patron: 1, date: -1 });
+NotificationSchema.index({ date: -1 });
+
+NotificationSchema.statics.KIND_LABELS = { due_soon: 'Due soon', overdue: 'Overdue', hold_ready: 'Hold ready' };
+
+NotificationSchema.virtual('kind_label').get(function () {
+  return this.constructor.KIND_LABELS[this.kind];
+});
+
+NotificationSchema.virtual('date_formatted').get(function () {
+  return DateTime.fromJSDate(this.date).toUTC().toLocaleString(DateTime.DATETIME_MED);
+});
+
+module.exports = mongoose.model('Notification', NotificationSchema);
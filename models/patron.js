@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+const { DateTime } = require('luxon');
+
+const Schema = mongoose.Schema;
+
+const PatronSchema = new Schema({
+  first_name: { type: String, required: true, maxLength: 100 },
+  family_name: { type: String, required: true, maxLength: 100 },
+  card_number: { type: String, required: true, unique: true, maxLength: 20 },
+  email: { type: String, required: true, maxLength: 254 },
+  phone: { type: String, maxLength: 30 },
+  address: { type: String, maxLength: 200 },
+  membership_expires: { type: Date },
+  email_notifications: { type: Boolean, default: true }, // due date and hold emails (lib/notifications.js)
+});
+
+// Virtual for patron's full name
+PatronSchema.virtual('name').get(function () {
+  let fullname = '';
+  if (this.first_name && this.family_name) {
+    fullname = `${this.first_name}, ${this.family_name}`;
+  }
+
+  return fullname;
+});
+
+// Virtual for patron's URL
+PatronSchema.virtual('url').get(function () {
+  return `/users/patron/${this._id}`;
+});
+
+// Virtual telling whether the membership has run out
+PatronSchema.virtual('membership_expired').get(function () {
+  return Boolean(this.membership_expires) && this.membership_expires < new Date();
+});
+
+PatronSchema.virtual('membership_expires_formatted').get(function () {
+  if (this.membership_expires) {
+    return DateTime.fromJSDate(this.membership_expires).toUTC().toLocaleString(DateTime.DATE_MED);
+  } else {
+    return ' ';
+  }
+});
+
+PatronSchema.virtual('iso_membership_expires').get(function () {
+  if (this.membership_expires) {
+    return DateTime.fromJSDate(this.membership_expires).toUTC().toISODate();
+  } else {
+    return '';
+  }
+});
+
+module.exports = mongoose.model('Patron', PatronSchema);
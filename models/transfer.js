@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+const { DateTime } = require('luxon');
+
+const Schema = mongoose.Schema;
+
+// A copy sent from one branch to another. The copy stays "In transit" until the receiving
+// branch confirms it arrived, or the transfer is cancelled; it then gets back the status it had
+// when it was sent.
+const TransferSchema = new Schema({
+  book_instance: { type: Schema.Types.ObjectId, ref: 'BookInstance', required: true },
+  from: { type: Schema.Types.ObjectId, ref: 'Branch' }, // empty for copies without a branch yet
+  to: { type: Schema.Types.ObjectId, ref: 'Branch', required: true },
+  status: {
+    type: String,
+    required: true,
+    enum: ['In transit', 'Received', 'Cancelled'],
+    default: 'In transit',
+  },
+  // Status of the copy when it was sent. Transfers recorded before this field was added left
+  // copies on the shelf.
+  previous_status: { type: String, enum: ['Available', 'Maintenance'], default: 'Available' },
+  sent: { type: Date, required: true, default: Date.now },
+  closed: { type: Date }, // when it was received or cancelled
+  sent_by: { type: String }, // username, kept when the account is deleted
+  closed_by: { type: String },
+});
+
+TransferSchema.index({ status: 1, to: 1 });
+TransferSchema.index({ book_instance: 1, sent: -1 });
+
+TransferSchema.virtual('url').get(function () {
+  return `/catalog/transfer/${this._id}`;
+});
+
+TransferSchema.virtual('sent_formatted').get(function () {
+  return DateTime.fromJSDate(this.sent).toUTC().toLocaleString(DateTime.DATE_MED);
+});
+
+TransferSchema.virtual('closed_formatted').get(function () {
+  return this.closed ? DateTime.fromJSDate(this.closed).toUTC().toLocaleString(DateTime.DATE_MED) : '';
+});
+
+module.exports = mongoose.model('Transfer', TransferSchema);
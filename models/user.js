@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+
+const Schema = mongoose.Schema;
+
+// Login account. Patrons may have one linked to their Patron record.
+const UserSchema = new Schema({
+  username: { type: String, required: true, unique: true, maxLength: 50 },
+  password: { type: String, required: true }, // bcrypt hash, never the plain password
+  role: {
+    type: String,
+    required: true,
+    enum: ['admin', 'librarian', 'patron'],
+    default: 'patron',
+  },
+  patron: { type: Schema.Types.ObjectId, ref: 'Patron' },
+});
+
+// Virtual for user's URL
+UserSchema.virtual('url').get(function () {
+  return `/users/account/${this._id}`;
+});
+
+// Virtual telling whether the user may change the catalog and run the circulation desk
+UserSchema.virtual('is_staff').get(function () {
+  return this.role === 'admin' || this.role === 'librarian';
+});
+
+// Hash and store a new plain-text password.
+UserSchema.methods.setPassword = async function (password) {
+  this.password = await bcrypt.hash(password, 10);
+};
+
+UserSchema.methods.validPassword = function (password) {
+  return bcrypt.compare(password, this.password);
+};
+
+module.exports = mongoose.model('User', UserSchema);
@@ -145,14 +145,14 @@ async function createBooks() {
     bookCreate(
       "Test Book 1",
       "Summary of test book 1",
-      "ISBN111111",
+      "9780000000002",
       authors[4],
       [genres[0], genres[1]]
     ),
     bookCreate(
       "Test Book 2",
       "Summary of test book 2",
-      "ISBN222222",
+      "9780000000019",
       authors[4],
       false
     ),
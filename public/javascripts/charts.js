@@ -0,0 +1,103 @@
+// Draws the dashboard charts as SVG. Each element with a data-chart attribute holds
+// { type, unit, labels, values }: "column" charts put the labels along the bottom (values over
+// time), "bar" charts list them down the side (rankings).
+(function () {
+  'use strict';
+
+  var SVG = 'http://www.w3.org/2000/svg';
+
+  function element(name, attributes, text) {
+    var node = document.createElementNS(SVG, name);
+    Object.keys(attributes).forEach(function (key) {
+      node.setAttribute(key, attributes[key]);
+    });
+    if (text !== undefined) {
+      node.textContent = text;
+    }
+    return node;
+  }
+
+  function tooltip(node, label, value, unit) {
+    node.appendChild(element('title', {}, label + ': ' + value + ' ' + unit));
+    return node;
+  }
+
+  function columnChart(svg, data, width) {
+    var height = 200;
+    var bottom = 40;
+    var max = Math.max.apply(null, data.values.concat([1]));
+    var step = width / data.values.length;
+    // Label every column when they fit, otherwise every few.
+    var labelEvery = Math.ceil(data.values.length / Math.max(1, Math.floor(width / 70)));
+
+    svg.setAttribute('viewBox', '0 0 ' + width + ' ' + (height + bottom));
+    data.values.forEach(function (value, index) {
+      var barHeight = (value / max) * height;
+      svg.appendChild(tooltip(element('rect', {
+        class: 'chart-bar',
+        x: index * step + 2,
+        y: height - barHeight,
+        width: Math.max(1, step - 4),
+        height: barHeight,
+      }), data.labels[index], value, data.unit));
+      if (index % labelEvery === 0) {
+        svg.appendChild(element('text', {
+          class: 'chart-label',
+          x: index * step + step / 2,
+          y: height + 16,
+          'text-anchor': 'middle',
+        }, data.labels[index]));
+      }
+    });
+    svg.appendChild(element('text', { class: 'chart-label', x: 0, y: 12 }, max + ' ' + data.unit));
+    svg.appendChild(element('line', { class: 'chart-axis', x1: 0, y1: height, x2: width, y2: height }));
+  }
+
+  function barChart(svg, data, width) {
+    var row = 24;
+    var labelWidth = Math.min(200, width / 3);
+    var max = Math.max.apply(null, data.values.concat([1]));
+
+    svg.setAttribute('viewBox', '0 0 ' + width + ' ' + data.values.length * row);
+    data.values.forEach(function (value, index) {
+      var y = index * row;
+      var barWidth = (value / max) * (width - labelWidth - 60);
+      var label = data.labels[index];
+      svg.appendChild(element('text', {
+        class: 'chart-label',
+        x: labelWidth - 6,
+        y: y + row / 2 + 4,
+        'text-anchor': 'end',
+      }, label.length > 28 ? label.slice(0, 27) + '…' : label));
+      svg.appendChild(tooltip(element('rect', {
+        class: 'chart-bar',
+        x: labelWidth,
+        y: y + 3,
+        width: barWidth,
+        height: row - 6,
+      }), label, value, data.unit));
+      svg.appendChild(element('text', {
+        class: 'chart-label',
+        x: labelWidth + barWidth + 4,
+        y: y + row / 2 + 4,
+      }, value + (data.unit === '%' ? '%' : '')));
+    });
+  }
+
+  function draw(container) {
+    var data = JSON.parse(container.getAttribute('data-chart'));
+    if (!data.values.length) {
+      return;
+    }
+    var width = Math.max(300, container.clientWidth || 600);
+    var svg = element('svg', { class: 'chart-svg', role: 'img', width: '100%' });
+    if (data.type === 'column') {
+      columnChart(svg, data, width);
+    } else {
+      barChart(svg, data, width);
+    }
+    container.appendChild(svg);
+  }
+
+  Array.prototype.forEach.call(document.querySelectorAll('[data-chart]'), draw);
+})();
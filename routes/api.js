@@ -0,0 +1,82 @@
+const express = require('express');
+const router = express.Router();
+
+// Require API controller modules.
+const book_api = require('../controllers/api/bookController');
+const author_api = require('../controllers/api/authorController');
+const genre_api = require('../controllers/api/genreController');
+const book_instance_api = require('../controllers/api/bookInstanceController');
+const branch_api = require('../controllers/api/branchController');
+const { basicAuth, requireStaff } = require('../lib/auth');
+
+// Scripts can send HTTP Basic credentials instead of a session cookie.
+router.use(basicAuth);
+
+/// BOOK ROUTES ///
+
+router.get('/books', book_api.book_list);
+router.post('/books', requireStaff, book_api.book_create);
+router.get('/books/:id', book_api.book_detail);
+router.put('/books/:id', requireStaff, book_api.book_update);
+router.delete('/books/:id', requireStaff, book_api.book_delete);
+
+/// AUTHOR ROUTES ///
+
+router.get('/authors', author_api.author_list);
+router.post('/authors', requireStaff, author_api.author_create);
+router.get('/authors/:id', author_api.author_detail);
+router.put('/authors/:id', requireStaff, author_api.author_update);
+router.delete('/authors/:id', requireStaff, author_api.author_delete);
+
+/// GENRE ROUTES ///
+
+router.get('/genres', genre_api.genre_list);
+router.post('/genres', requireStaff, genre_api.genre_create);
+router.get('/genres/:id', genre_api.genre_detail);
+router.put('/genres/:id', requireStaff, genre_api.genre_update);
+router.delete('/genres/:id', requireStaff, genre_api.genre_delete);
+
+/// BOOKINSTANCE ROUTES ///
+
+router.get('/bookinstances', book_instance_api.bookinstance_list);
+router.post('/bookinstances', requireStaff, book_instance_api.bookinstance_create);
+router.get('/bookinstances/barcode/:barcode', book_instance_api.bookinstance_by_barcode);
+router.get('/bookinstances/:id', book_instance_api.bookinstance_detail);
+router.put('/bookinstances/:id', requireStaff, book_instance_api.bookinstance_update);
+router.delete('/bookinstances/:id', requireStaff, book_instance_api.bookinstance_delete);
+
+/// BRANCH ROUTES ///
+
+router.get('/branches', branch_api.branch_list);
+router.get('/branches/:id', branch_api.branch_detail);
+
+// Unknown API routes are a JSON 404, not the HTML error page.
+router.use((req, res, next) => {
+  const err = new Error('Not Found');
+  err.status = 404;
+  next(err);
+});
+
+// API error handler
+router.use((err, req, res, next) => {
+  let status = err.status || 500;
+  let message = err.message;
+
+  // Malformed ids and invalid documents are the client's fault.
+  if (err.name === 'CastError') {
+    status = 404;
+    message = 'Not Found';
+  } else if (err.name === 'ValidationError') {
+    status = 422;
+  }
+
+  res.status(status).json({
+    error: {
+      status,
+      message: status >= 500 && req.app.get('env') !== 'development' ? 'Internal Server Error' : message,
+      details: err.details,
+    },
+  });
+});
+
+module.exports = router;
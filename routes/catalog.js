@@ -6,29 +6,88 @@ const book_controller = require('../controllers/bookController');
 const author_controller = require('../controllers/authorController');
 const genre_controller = require('../controllers/genreController');
 const book_instance_controller = require('../controllers/bookInstanceController');
+const hold_controller = require('../controllers/holdController');
+const search_controller = require('../controllers/searchController');
+const import_controller = require('../controllers/importController');
+const export_controller = require('../controllers/exportController');
+const audit_controller = require('../controllers/auditController');
+const trash_controller = require('../controllers/trashController');
+const branch_controller = require('../controllers/branchController');
+const transfer_controller = require('../controllers/transferController');
+const statistics_controller = require('../controllers/statisticsController');
+const job_controller = require('../controllers/jobController');
+const { requireStaff, requireAdmin } = require('../lib/auth');
 
 /// BOOK ROUTES ///
 
 // Get catalog home page
 router.get('/', book_controller.index);
 
+// GET search results.
+router.get('/search', search_controller.search);
+
+// GET request for the bulk import form.
+router.get('/import', requireAdmin, import_controller.import_get);
+
+// POST request to import a file.
+router.post('/import', requireAdmin, import_controller.import_post);
+
+// GET the list of exports.
+router.get('/export', requireStaff, export_controller.export_index);
+
+// GET an export file.
+router.get('/export/:type/:format', requireStaff, export_controller.export_download);
+
+// GET the audit log of the catalog.
+router.get('/audit', requireStaff, audit_controller.audit_list);
+
+// GET the circulation statistics dashboard.
+router.get('/statistics', requireStaff, statistics_controller.dashboard);
+
+// GET the scheduled jobs.
+router.get('/jobs', requireAdmin, job_controller.job_list);
+
+// POST request to run a scheduled job now.
+router.post('/jobs/:name/run', requireAdmin, job_controller.job_run_post);
+
+// GET the trash.
+router.get('/trash', requireAdmin, trash_controller.trash_list);
+
+// POST request to restore a record from the trash.
+router.post('/trash/:type/:id/restore', requireAdmin, trash_controller.trash_restore_post);
+
+// POST request to purge a record from the trash.
+router.post('/trash/:type/:id/purge', requireAdmin, trash_controller.trash_purge_post);
+
 // GET request for creating a Book. NOTE this must come before routes that display Book (uses id).
-router.get('/book/create', book_controller.book_create_get);
+router.get('/book/create', requireStaff, book_controller.book_create_get);
 
 // POST request for creating Book
-router.post('/book/create', book_controller.book_create_post);
+router.post('/book/create', requireStaff, book_controller.book_create_post);
+
+// POST request to fill in the book create form from the metadata of an ISBN.
+router.post('/book/create/autofill', requireStaff, book_controller.book_autofill_post);
 
 // GET request to delete book.
-router.get('/book/:id/delete', book_controller.book_delete_get);
+router.get('/book/:id/delete', requireStaff, book_controller.book_delete_get);
 
 // POST request to delete book.
-router.post('/book/:id/delete', book_controller.book_delete_post);
+router.post('/book/:id/delete', requireStaff, book_controller.book_delete_post);
 
 // GET request to update book.
-router.get('/book/:id/update', book_controller.book_update_get);
+router.get('/book/:id/update', requireStaff, book_controller.book_update_get);
 
 // POST request to update book.
-router.post('/book/:id/update', book_controller.book_update_post);
+router.post('/book/:id/update', requireStaff, book_controller.book_update_post);
+
+// GET request to place a hold on book.
+router.get('/book/:id/hold', requireStaff, hold_controller.hold_create_get);
+
+// POST request to place a hold on book.
+router.post('/book/:id/hold', requireStaff, hold_controller.hold_create_post);
+
+// GET request for the change history of one book.
+router.get('/book/:id/history', requireStaff, audit_controller.book_history);
 
 // GET request for one book.
 router.get('/book/:id', book_controller.book_detail);
@@ -39,22 +98,31 @@ router.get('/books', book_controller.book_list);
 /// AUTHOR ROUTES ///
 
 // GET request for creating a author. NOTE this must come before routes that display author (uses id).
-router.get('/author/create', author_controller.author_create_get);
+router.get('/author/create', requireStaff, author_controller.author_create_get);
 
 // POST request for creating author
-router.post('/author/create', author_controller.author_create_post);
+router.post('/author/create', requireStaff, author_controller.author_create_post);
 
 // GET request to delete author.
-router.get('/author/:id/delete', author_controller.author_delete_get);
+router.get('/author/:id/delete', requireStaff, author_controller.author_delete_get);
 
 // POST request to delete author.
-router.post('/author/:id/delete', author_controller.author_delete_post);
+router.post('/author/:id/delete', requireStaff, author_controller.author_delete_post);
 
 // GET request to update author.
-router.get('/author/:id/update', author_controller.author_update_get);
+router.get('/author/:id/update', requireStaff, author_controller.author_update_get);
 
 // POST request to update author.
-router.post('/author/:id/update', author_controller.author_update_post);
+router.post('/author/:id/update', requireStaff, author_controller.author_update_post);
+
+// GET request for the change history of one author.
+router.get('/author/:id/history', requireStaff, audit_controller.author_history);
+
+// GET request to merge a duplicate into an author.
+router.get('/author/:id/merge', requireAdmin, author_controller.author_merge_get);
+
+// POST request to merge a duplicate into an author.
+router.post('/author/:id/merge', requireAdmin, author_controller.author_merge_post);
 
 // GET request for one author.
 router.get('/author/:id', author_controller.author_detail);
@@ -62,25 +130,31 @@ router.get('/author/:id', author_controller.author_detail);
 // GET request for list of all author items.
 router.get('/authors', author_controller.author_list);
 
+// GET request for the authors that are probably duplicates.
+router.get('/authors/duplicates', requireStaff, author_controller.author_duplicates);
+
 /// genre ROUTES ///
 
 // GET request for creating a genre. NOTE this must come before routes that display genre (uses id).
-router.get('/genre/create', genre_controller.genre_create_get);
+router.get('/genre/create', requireStaff, genre_controller.genre_create_get);
 
 // POST request for creating genre
-router.post('/genre/create', genre_controller.genre_create_post);
+router.post('/genre/create', requireStaff, genre_controller.genre_create_post);
 
 // GET request to delete genre.
-router.get('/genre/:id/delete', genre_controller.genre_delete_get);
+router.get('/genre/:id/delete', requireStaff, genre_controller.genre_delete_get);
 
 // POST request to delete genre.
-router.post('/genre/:id/delete', genre_controller.genre_delete_post);
+router.post('/genre/:id/delete', requireStaff, genre_controller.genre_delete_post);
 
 // GET request to update genre.
-router.get('/genre/:id/update', genre_controller.genre_update_get);
+router.get('/genre/:id/update', requireStaff, genre_controller.genre_update_get);
 
 // POST request to update genre.
-router.post('/genre/:id/update', genre_controller.genre_update_post);
+router.post('/genre/:id/update', requireStaff, genre_controller.genre_update_post);
+
+// GET request for the change history of one genre.
+router.get('/genre/:id/history', requireStaff, audit_controller.genre_history);
 
 // GET request for one genre.
 router.get('/genre/:id', genre_controller.genre_detail);
@@ -90,34 +164,57 @@ router.get('/genres', genre_controller.genre_list);
 
 /// BOOKINSTANCE ROUTES ///
 
+// GET request for finding a BookInstance by barcode. NOTE This must come before route that displays BookInstance (uses id).
+router.get('/bookinstance/barcode', book_instance_controller.bookinstance_barcode);
+
 // GET request for creating a BookInstance. NOTE This must come before route that displays BookInstance (uses id).
 router.get(
-  '/bookinstance/create', book_instance_controller.bookinstance_create_get
+  '/bookinstance/create', requireStaff, book_instance_controller.bookinstance_create_get
 );
 
 // POST request for creating BookInstance.
 router.post(
-  '/bookinstance/create', book_instance_controller.bookinstance_create_post
+  '/bookinstance/create', requireStaff, book_instance_controller.bookinstance_create_post
 );
 
 // GET request to delete BookInstance.
 router.get(
-  '/bookinstance/:id/delete', book_instance_controller.bookinstance_delete_get
+  '/bookinstance/:id/delete', requireStaff, book_instance_controller.bookinstance_delete_get
 );
 
 // POST request to delete BookInstance.
 router.post(
-  '/bookinstance/:id/delete', book_instance_controller.bookinstance_delete_post
+  '/bookinstance/:id/delete', requireStaff, book_instance_controller.bookinstance_delete_post
 );
 
 // GET request to update BookInstance.
 router.get(
-  '/bookinstance/:id/update', book_instance_controller.bookinstance_update_get
+  '/bookinstance/:id/update', requireStaff, book_instance_controller.bookinstance_update_get
 );
 
 // POST request to update BookInstance.
 router.post(
-  '/bookinstance/:id/update', book_instance_controller.bookinstance_update_post
+  '/bookinstance/:id/update', requireStaff, book_instance_controller.bookinstance_update_post
+);
+
+// GET request to check out a BookInstance.
+router.get(
+  '/bookinstance/:id/checkout', requireStaff, book_instance_controller.bookinstance_checkout_get
+);
+
+// POST request to check out a BookInstance.
+router.post(
+  '/bookinstance/:id/checkout', requireStaff, book_instance_controller.bookinstance_checkout_post
+);
+
+// POST request to return a BookInstance.
+router.post(
+  '/bookinstance/:id/return', requireStaff, book_instance_controller.bookinstance_return_post
+);
+
+// GET request for the change history of one BookInstance.
+router.get(
+  '/bookinstance/:id/history', requireStaff, audit_controller.bookinstance_history
 );
 
 // GET request for one BookInstance.
@@ -126,4 +223,61 @@ router.get('/bookinstance/:id', book_instance_controller.bookinstance_detail);
 // GET request for list of all BookInstance.
 router.get('/bookinstances', book_instance_controller.bookinstance_list);
 
+// GET request for list of overdue BookInstances.
+router.get('/bookinstances/overdue', requireStaff, book_instance_controller.bookinstance_overdue);
+
+// GET request to send a BookInstance to another branch.
+router.get('/bookinstance/:id/transfer', requireStaff, transfer_controller.transfer_create_get);
+
+// POST request to send a BookInstance to another branch.
+router.post('/bookinstance/:id/transfer', requireStaff, transfer_controller.transfer_create_post);
+
+/// BRANCH ROUTES ///
+
+// GET request for creating a branch. NOTE this must come before routes that display branch (uses id).
+router.get('/branch/create', requireAdmin, branch_controller.branch_create_get);
+
+// POST request for creating branch.
+router.post('/branch/create', requireAdmin, branch_controller.branch_create_post);
+
+// GET request to delete branch.
+router.get('/branch/:id/delete', requireAdmin, branch_controller.branch_delete_get);
+
+// POST request to delete branch.
+router.post('/branch/:id/delete', requireAdmin, branch_controller.branch_delete_post);
+
+// GET request to update branch.
+router.get('/branch/:id/update', requireAdmin, branch_controller.branch_update_get);
+
+// POST request to update branch.
+router.post('/branch/:id/update', requireAdmin, branch_controller.branch_update_post);
+
+// GET request for the change history of one branch.
+router.get('/branch/:id/history', requireStaff, audit_controller.branch_history);
+
+// GET request for one branch.
+router.get('/branch/:id', branch_controller.branch_detail);
+
+// GET request for list of all branches.
+router.get('/branches', branch_controller.branch_list);
+
+/// TRANSFER ROUTES ///
+
+// POST request to confirm a transferred copy arrived.
+router.post('/transfer/:id/receive', requireStaff, transfer_controller.transfer_receive_post);
+
+// POST request to cancel a transfer.
+router.post('/transfer/:id/cancel', requireStaff, transfer_controller.transfer_cancel_post);
+
+// GET request for list of copies in transit.
+router.get('/transfers', requireStaff, transfer_controller.transfer_list);
+
+/// HOLD ROUTES ///
+
+// POST request to cancel Hold.
+router.post('/hold/:id/cancel', requireStaff, hold_controller.hold_cancel_post);
+
+// GET request for list of all active Holds.
+router.get('/holds', requireStaff, hold_controller.hold_list);
+
 module.exports = router;
\ No newline at end of file
@@ -1,9 +1,20 @@
 const express = require('express');
 const router = express.Router();
 
+const auth_controller = require('../controllers/authController');
+
 /* GET home page. */
 router.get('/', function(req, res, next) {
   res.redirect('/catalog');
 });
 
+// GET login page.
+router.get('/login', auth_controller.login_get);
+
+// POST request to log in.
+router.post('/login', auth_controller.login_post);
+
+// POST request to log out.
+router.post('/logout', auth_controller.logout_post);
+
 module.exports = router;
@@ -1,13 +1,72 @@
 const express = require('express');
 const router = express.Router();
 
-/* GET users listing. */
-router.get('/', function(req, res, next) {
-  res.send('respond with a resource');
-});
-
-router.get('/cool', function (req, res, next) {
-  res.send('You are so cool');
-});
+// Require controller modules.
+const patron_controller = require('../controllers/patronController');
+const fine_controller = require('../controllers/fineController');
+const account_controller = require('../controllers/accountController');
+const notification_controller = require('../controllers/notificationController');
+const { requireStaff, requireAdmin } = require('../lib/auth');
+
+// Patron records and accounts are only for library staff.
+router.use(requireStaff);
+
+/// PATRON ROUTES ///
+
+// GET request for list of all patrons.
+router.get('/', patron_controller.patron_list);
+
+// GET request for creating a patron. NOTE this must come before routes that display patron (uses id).
+router.get('/patron/create', patron_controller.patron_create_get);
+
+// POST request for creating patron.
+router.post('/patron/create', patron_controller.patron_create_post);
+
+// GET request to delete patron.
+router.get('/patron/:id/delete', patron_controller.patron_delete_get);
+
+// POST request to delete patron.
+router.post('/patron/:id/delete', patron_controller.patron_delete_post);
+
+// GET request to update patron.
+router.get('/patron/:id/update', patron_controller.patron_update_get);
+
+// POST request to update patron.
+router.post('/patron/:id/update', patron_controller.patron_update_post);
+
+// GET request for the fines ledger of a patron.
+router.get('/patron/:id/fines', fine_controller.fine_list);
+
+// POST request to record a payment or waiver for a patron.
+router.post('/patron/:id/fines', fine_controller.fine_create_post);
+
+// GET request for one patron.
+router.get('/patron/:id', patron_controller.patron_detail);
+
+// GET request for the log of emails sent to patrons.
+router.get('/notifications', notification_controller.notification_list);
+
+/// ACCOUNT ROUTES ///
+
+// GET request for list of all accounts.
+router.get('/accounts', requireAdmin, account_controller.account_list);
+
+// GET request for creating an account. NOTE this must come before routes that use the account id.
+router.get('/account/create', requireAdmin, account_controller.account_create_get);
+
+// POST request for creating account.
+router.post('/account/create', requireAdmin, account_controller.account_create_post);
+
+// GET request to delete account.
+router.get('/account/:id/delete', requireAdmin, account_controller.account_delete_get);
+
+// POST request to delete account.
+router.post('/account/:id/delete', requireAdmin, account_controller.account_delete_post);
+
+// GET request to update account.
+router.get('/account/:id/update', requireAdmin, account_controller.account_update_get);
+
+// POST request to update account.
+router.post('/account/:id/update', requireAdmin, account_controller.account_update_post);
 
 module.exports = router;
@@ -0,0 +1,69 @@
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert');
+
+const Author = require('../models/author');
+const Book = require('../models/book');
+const bookApi = require('../controllers/api/bookController');
+const bookInstanceApi = require('../controllers/api/bookInstanceController');
+const bookValidators = require('../validators/book');
+const validate = require('../validators/run');
+const { runRoute } = require('./helpers');
+
+afterEach(() => mock.restoreAll());
+
+// Run an API route and return the status and JSON body it answered with.
+async function call(route, body) {
+  const answer = {};
+  const res = {
+    status(code) {
+      answer.status = code;
+      return this;
+    },
+    json(payload) {
+      answer.body = payload;
+      return this;
+    },
+  };
+  const outcome = await runRoute(route, { params: {}, body, baseUrl: '/api/v1' }, res);
+  assert.ifError(outcome.error);
+  return answer;
+}
+
+const BOOK = { title: 'Dune', summary: 'Desert planet', isbn: '9780441013593' };
+
+test('a book with a malformed author or genre id is a 422 field error, not a lookup', async () => {
+  const exists = mock.method(Author, 'exists', async () => null);
+
+  const answer = await call(bookApi.book_create, {
+    ...BOOK,
+    author: 'frank-herbert',
+    genre: ['sf', '64b7f1e2a1b2c3d4e5f60718'],
+  });
+
+  assert.strictEqual(answer.status, 422);
+  assert.deepStrictEqual(
+    answer.body.errors.map((error) => error.field),
+    ['author', 'genre[0]']
+  );
+  assert.strictEqual(exists.mock.callCount(), 0);
+});
+
+test('a copy with a malformed book id is a 422 field error, not a lookup', async () => {
+  const exists = mock.method(Book, 'exists', async () => null);
+
+  const answer = await call(bookInstanceApi.bookinstance_create, { book: '42', imprint: 'Ace', barcode: 'B-1' });
+
+  assert.strictEqual(answer.status, 422);
+  assert.deepStrictEqual(answer.body.errors, [{ field: 'book', message: 'Book must be a book of the catalog' }]);
+  assert.strictEqual(exists.mock.callCount(), 0);
+});
+
+test('the book validators accept well-formed author and genre ids', async () => {
+  const { errors } = await validate(bookValidators, {
+    ...BOOK,
+    author: '000000000000000000000000',
+    genre: '64b7f1e2a1b2c3d4e5f60718',
+  });
+
+  assert.deepStrictEqual(errors, []);
+});
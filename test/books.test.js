@@ -0,0 +1,48 @@
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const pug = require('pug');
+
+const Author = require('../models/author');
+const Book = require('../models/book');
+const Genre = require('../models/genre');
+const metadata = require('../lib/metadata');
+const bookController = require('../controllers/bookController');
+const { query, runRoute } = require('./helpers');
+
+afterEach(() => mock.restoreAll());
+
+// What app.js sets in app.locals for every view.
+const appLocals = {
+  coverMaxSize: '2 MB',
+  contributorRoles: Book.schema.path('contributors.role').enumValues,
+};
+
+// Ask the autofill form for a valid ISBN and render the form it answers with.
+async function autofill() {
+  mock.method(Author, 'findSorted', () => query([]));
+  mock.method(Genre, 'find', () => query([]));
+  const outcome = await runRoute(bookController.book_autofill_post, { body: { isbn: '9780765342294' } });
+  const [view, locals] = outcome.render;
+  const html = pug.renderFile(path.join(__dirname, '..', 'views', `${view}.pug`), { ...appLocals, ...locals });
+  return { locals, html };
+}
+
+test('an error from the metadata provider is shown as text', async () => {
+  mock.method(Book, 'findByIsbn', async () => null);
+  mock.method(metadata, 'lookup', async () => {
+    throw new Error('<img src=x onerror=alert(1)>');
+  });
+
+  const { html } = await autofill();
+  assert.doesNotMatch(html, /<img src=x/);
+  assert.match(html, /The book metadata could not be fetched: &lt;img src=x onerror=alert\(1\)&gt;/);
+});
+
+test('a duplicate ISBN links to the book that has it', async () => {
+  mock.method(Book, 'findByIsbn', async () => ({ url: '/catalog/book/1', title: 'Ender&#x27;s Game &amp; More' }));
+
+  const { locals, html } = await autofill();
+  assert.deepStrictEqual(locals.errors.map((error) => error.msg), ['This ISBN is already in the catalog:']);
+  assert.match(html, /This ISBN is already in the catalog: <a href="\/catalog\/book\/1">Ender's Game &amp; More<\/a>/);
+});
@@ -0,0 +1,39 @@
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert');
+
+const Book = require('../models/book');
+const BookInstance = require('../models/bookinstance');
+const Hold = require('../models/hold');
+const Loan = require('../models/loan');
+const Patron = require('../models/patron');
+const controller = require('../controllers/bookInstanceController');
+const { query, runRoute } = require('./helpers');
+
+afterEach(() => mock.restoreAll());
+
+test('a checkout whose loan cannot be recorded puts the copy back on the shelf', async () => {
+  const copy = new BookInstance({ book: new Book({ title: 'Dune' }), imprint: 'Ace', status: 'Available' });
+  copy.due_back = undefined;
+  const patron = new Patron({ first_name: 'Ana', family_name: 'Neil', card_number: 'A1', email: 'a@example.com' });
+
+  mock.method(BookInstance, 'findById', () => query(copy));
+  mock.method(Patron, 'findById', () => query(patron));
+  mock.method(Hold, 'findOne', () => query(null));
+  mock.method(BookInstance, 'findOneAndUpdate', () => query(new BookInstance({ _id: copy._id, status: 'Loaned' })));
+  mock.method(Loan, 'create', async () => {
+    throw new Error('write failed');
+  });
+  const restore = mock.method(BookInstance, 'updateOne', () => query({ modifiedCount: 1 }));
+
+  const outcome = await runRoute(controller.bookinstance_checkout_post, {
+    params: { id: String(copy._id) },
+    body: { patron: String(patron._id) },
+  });
+
+  assert.strictEqual(outcome.error.message, 'write failed');
+  assert.strictEqual(restore.mock.callCount(), 1);
+  const [filter, update] = restore.mock.calls[0].arguments;
+  assert.deepStrictEqual(filter, { _id: copy._id, status: 'Loaned', borrower: patron._id });
+  assert.strictEqual(update.status, 'Available');
+  assert.deepStrictEqual(update.$unset, { borrower: 1, due_back: 1 });
+});
@@ -0,0 +1,60 @@
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert');
+
+const Author = require('../models/author');
+const duplicates = require('../lib/duplicates');
+const { query } = require('./helpers');
+
+afterEach(() => mock.restoreAll());
+
+test('mergedFields keeps the richer value of each field', () => {
+  const survivor = new Author({ first_name: 'I.', family_name: 'Asimov' });
+  const duplicate = new Author({
+    first_name: 'Isaac',
+    family_name: 'Asimov',
+    date_of_birth: new Date('1920-01-02'),
+  });
+
+  const fields = duplicates.mergedFields(survivor, duplicate);
+  assert.strictEqual(fields.first_name, 'Isaac');
+  assert.strictEqual(fields.family_name, 'Asimov');
+  assert.deepStrictEqual(fields.date_of_birth, new Date('1920-01-02'));
+  assert.strictEqual(fields.pseudonym_of, null);
+});
+
+test('mergedFields keeps the real author of a pen name', () => {
+  const real = new Author({ first_name: 'Eric', family_name: 'Blair' });
+  const survivor = new Author({ first_name: 'George', family_name: 'Orwell' });
+  const duplicate = new Author({ first_name: 'G.', family_name: 'Orwell', pseudonym_of: real._id });
+
+  assert.strictEqual(duplicates.mergedFields(survivor, duplicate).pseudonym_of, real._id);
+});
+
+test('mergedFields never makes the survivor a pen name of itself or of the duplicate', () => {
+  const survivor = new Author({ first_name: 'Eric', family_name: 'Blair' });
+  const duplicate = new Author({ first_name: 'E.', family_name: 'Blair', pseudonym_of: survivor._id });
+  const penName = new Author({ first_name: 'Eric', family_name: 'Blair' });
+  const real = new Author({ first_name: 'E.', family_name: 'Blair' });
+  penName.pseudonym_of = real._id;
+
+  assert.strictEqual(duplicates.mergedFields(survivor, duplicate).pseudonym_of, null);
+  assert.strictEqual(duplicates.mergedFields(penName, real).pseudonym_of, null);
+});
+
+test('mergedFields drops the real author of a survivor that has pen names', () => {
+  const real = new Author({ first_name: 'Eric', family_name: 'Blair' });
+  const survivor = new Author({ first_name: 'George', family_name: 'Orwell' });
+  const duplicate = new Author({ first_name: 'G.', family_name: 'Orwell', pseudonym_of: real._id });
+
+  assert.strictEqual(duplicates.mergedFields(survivor, duplicate, true).pseudonym_of, null);
+});
+
+test('penNamesAfterMerge looks for pen names of either author', async () => {
+  const survivor = new Author({ first_name: 'Eric', family_name: 'Blair' });
+  const duplicate = new Author({ first_name: 'E.', family_name: 'Blair' });
+  const count = mock.method(Author, 'countDocuments', () => query(1));
+
+  assert.strictEqual(await duplicates.penNamesAfterMerge(survivor, duplicate), true);
+  const ids = [survivor._id, duplicate._id];
+  assert.deepStrictEqual(count.mock.calls[0].arguments[0], { pseudonym_of: { $in: ids }, _id: { $nin: ids } });
+});
@@ -0,0 +1,38 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const csv = require('../lib/csv');
+const exporter = require('../lib/exporter');
+
+test('isSupported accepts the offered type and format pairs only', () => {
+  assert.strictEqual(exporter.isSupported('books', 'marcxml'), true);
+  assert.strictEqual(exporter.isSupported('authors', 'csv'), true);
+  assert.strictEqual(exporter.isSupported('authors', 'marcxml'), false);
+  assert.strictEqual(exporter.isSupported('patrons', 'csv'), false);
+});
+
+test('isSupported is false for names inherited from Object', () => {
+  for (const type of ['constructor', 'toString', '__proto__', 'hasOwnProperty']) {
+    assert.strictEqual(exporter.isSupported(type, 'csv'), false, type);
+  }
+});
+
+test('csv.stringify quotes separators, quotes and line breaks', () => {
+  const text = csv.stringify([{ title: 'Dune, Book 1', summary: 'The "spice"\nflows', year: 1965 }], [
+    'title',
+    'summary',
+    'year',
+  ]);
+  assert.strictEqual(text, 'title,summary,year\r\n"Dune, Book 1","The ""spice""\nflows",1965\r\n');
+});
+
+test('csv.stringify keeps cells from running as spreadsheet formulas', () => {
+  const rows = ['=HYPERLINK("http://x")', '+1', '-2', '@SUM(A1)', 'Safe'].map((title) => ({ title }));
+  const text = csv.stringify(rows, ['title']);
+  assert.strictEqual(text, 'title\r\n"\'=HYPERLINK(""http://x"")"\r\n\'+1\r\n\'-2\r\n\'@SUM(A1)\r\nSafe\r\n');
+});
+
+test('csv.parse reads guarded cells back as they were', () => {
+  const rows = [{ title: '=1+1' }, { title: "'quoted'" }, { title: '-' }];
+  assert.deepStrictEqual(csv.parse(csv.stringify(rows, ['title'])), rows);
+});
@@ -0,0 +1,35 @@
+// Shared by the tests: stand-ins for Mongoose queries, so that no database is needed.
+
+// A query whose exec() resolves to `value`. Chained query methods return the same query.
+exports.query = (value) => {
+  const chain = {
+    exec: async () => value,
+  };
+  for (const method of ['populate', 'select', 'sort', 'skip', 'limit', 'session', 'setOptions']) {
+    chain[method] = () => chain;
+  }
+  return chain;
+};
+
+// Run the validators and handler of an Express route given as an array of middleware. Resolves
+// to what the handler did: { redirect }, { render: [view, locals] } or { error }. Pass `res` to
+// record other responses.
+exports.runRoute = async (route, req, res = {}) => {
+  const outcome = {};
+  res.redirect = (url) => {
+    outcome.redirect = url;
+  };
+  res.render = (view, locals) => {
+    outcome.render = [view, locals];
+  };
+  for (const middleware of route) {
+    if (typeof middleware.run === 'function') {
+      await middleware.run(req);
+    } else {
+      await middleware(req, res, (err) => {
+        outcome.error = err;
+      });
+    }
+  }
+  return outcome;
+};
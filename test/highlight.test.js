@@ -0,0 +1,31 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const highlight = require('../lib/highlight');
+
+// The segments joined back, with the matches in brackets.
+function marked(segments) {
+  return segments.map((segment) => (segment.match ? `[${segment.text}]` : segment.text)).join('');
+}
+
+test('terms drop quotes, leading minus signs and single letters', () => {
+  assert.deepStrictEqual(highlight.terms('"dune"  -messiah a herbert'), ['dune', 'messiah', 'herbert']);
+});
+
+test('segments mark every match, ignoring case', () => {
+  assert.strictEqual(marked(highlight.segments('Dune and dune', ['DUNE'])), '[Dune] and [dune]');
+});
+
+test('segments never split the entities of stored text', () => {
+  const stored = 'O&#x27;Brien &amp; Sons';
+  assert.strictEqual(marked(highlight.segments(stored, ['x27'])), "O'Brien & Sons");
+  assert.strictEqual(marked(highlight.segments(stored, ['amp'])), "O'Brien & Sons");
+  assert.strictEqual(marked(highlight.segments(stored, ['brien'])), "O'[Brien] & Sons");
+});
+
+test('long texts are cut to start a little before the first match', () => {
+  const text = `${'a'.repeat(100)} needle ${'b'.repeat(100)}`;
+  const value = marked(highlight.segments(text, ['needle'], 40));
+  assert.match(value, /^….*\[needle\].*…$/);
+  assert.ok(value.length <= 40 + '[]'.length + 2);
+});
@@ -0,0 +1,35 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const pug = require('pug');
+
+const csv = require('../lib/csv');
+const importer = require('../lib/importer');
+
+test('csv.parse reads quoted fields, doubled quotes, CRLF and a BOM', () => {
+  const text = '﻿title,summary\r\n"Dune, Book 1","The ""spice"" must flow"\r\n\r\nEmma,"Two\nlines"\n';
+  assert.deepStrictEqual(csv.parse(text), [
+    { title: 'Dune, Book 1', summary: 'The "spice" must flow' },
+    { title: 'Emma', summary: 'Two\nlines' },
+  ]);
+});
+
+test('csv.parse fills missing trailing fields with empty strings', () => {
+  assert.deepStrictEqual(csv.parse('name,parent\nFantasy\n'), [{ name: 'Fantasy', parent: '' }]);
+});
+
+test('the messages of a file that cannot be read are shown as text', () => {
+  let message;
+  try {
+    importer.parse('[{"title": "<img src=x onerror=alert(1)>"', 'json');
+  } catch (err) {
+    message = `The file could not be read: ${err.message}`;
+  }
+  const html = pug.renderFile(path.join(__dirname, '..', 'views', 'import_form.pug'), {
+    title: 'Import',
+    types: importer.TYPES,
+    errors: [{ msg: message }, { msg: '<script>alert(1)</script>' }],
+  });
+  assert.doesNotMatch(html, /<script>alert|<img src=x/);
+  assert.match(html, /&lt;script&gt;alert\(1\)&lt;\/script&gt;/);
+});
@@ -0,0 +1,28 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const isbn = require('../lib/isbn');
+
+test('normalize turns ISBN-10s and hyphenated ISBNs into a bare ISBN-13', () => {
+  assert.strictEqual(isbn.normalize('0-441-01359-7'), '9780441013593');
+  assert.strictEqual(isbn.normalize('978-0-441-01359-3'), '9780441013593');
+  assert.strictEqual(isbn.normalize(' 978 0441013593 '), '9780441013593');
+});
+
+test('normalize accepts an X check digit in either case', () => {
+  assert.strictEqual(isbn.normalize('0-8044-2957-X'), '9780804429573');
+  assert.strictEqual(isbn.normalize('080442957x'), '9780804429573');
+});
+
+test('normalize rejects wrong check digits, wrong lengths and other prefixes', () => {
+  for (const value of ['0441013596', '9780441013594', '978044101359', '1234567890123', 'X441013597', '', null]) {
+    assert.strictEqual(isbn.normalize(value), null, String(value));
+  }
+});
+
+test('isCanonical only accepts the stored form', () => {
+  assert.strictEqual(isbn.isCanonical('9780441013593'), true);
+  assert.strictEqual(isbn.isCanonical('0441013597'), false);
+  assert.strictEqual(isbn.isCanonical('978-0441013593'), false);
+  assert.strictEqual(isbn.isValid('0441013597'), true);
+});
@@ -0,0 +1,59 @@
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert');
+
+const Book = require('../models/book');
+const Hold = require('../models/hold');
+const Notification = require('../models/notification');
+const Patron = require('../models/patron');
+const mail = require('../lib/mail');
+const notifications = require('../lib/notifications');
+const { query } = require('./helpers');
+
+// A hold ready for pickup, with the title and names stored escaped as the forms store them.
+function readyHold() {
+  const patron = new Patron({
+    first_name: 'Ana',
+    family_name: 'O&#x27;Neil',
+    card_number: 'A1',
+    email: 'ana@example.com',
+  });
+  const book = new Book({ title: 'Ender&#x27;s Game &amp; Speaker for the Dead' });
+  return new Hold({ patron, book, status: 'Ready', expires: new Date(Date.now() + 86400000) });
+}
+
+afterEach(() => mock.restoreAll());
+
+test('subjects and bodies show stored titles and names as plain text', async () => {
+  mock.method(Hold, 'find', () => query([readyHold()]));
+  mock.method(Notification, 'find', () => query([]));
+  mock.method(Notification, 'create', async (fields) => ({ _id: 1, ...fields }));
+  mock.method(Notification, 'updateOne', () => query({}));
+  const send = mock.method(mail, 'send', async () => ({ id: '<1@test>' }));
+
+  assert.strictEqual(await notifications.sendHoldReady(), 1);
+
+  const [message] = send.mock.calls[0].arguments;
+  assert.strictEqual(message.subject, "Ender's Game & Speaker for the Dead is ready for pickup");
+  assert.match(message.text, /Dear Ana O'Neil,/);
+  assert.match(message.text, /Ender's Game & Speaker for the Dead, which you placed on hold/);
+  assert.match(message.html, /Ender's Game &amp; Speaker for the Dead/);
+  assert.doesNotMatch(message.html + message.text, /&amp;#x27;|&#x27;|&amp;amp;/);
+});
+
+test('a message left as being sent by an interrupted run can be claimed again', async () => {
+  mock.method(Hold, 'find', () => query([readyHold()]));
+  mock.method(Notification, 'find', () => query([]));
+  mock.method(Notification, 'create', async () => {
+    throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+  });
+  const reclaim = mock.method(Notification, 'findOneAndUpdate', () => query({ _id: 1 }));
+  mock.method(Notification, 'updateOne', () => query({}));
+  mock.method(mail, 'send', async () => ({ id: '<1@test>' }));
+
+  assert.strictEqual(await notifications.sendHoldReady(), 1);
+
+  const [filter] = reclaim.mock.calls[0].arguments;
+  const stale = filter.$or.find((condition) => condition.status === 'Sending');
+  assert.ok(stale, 'stale Sending records are claimable');
+  assert.ok(stale.date.$lt < new Date(), 'only once the sending timeout has passed');
+});
@@ -0,0 +1,34 @@
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert');
+
+const Fine = require('../models/fine');
+const Loan = require('../models/loan');
+const Patron = require('../models/patron');
+const controller = require('../controllers/patronController');
+const { daysLate } = require('../lib/circulation');
+const { query } = require('./helpers');
+
+afterEach(() => mock.restoreAll());
+
+test('daysLate counts whole calendar days past the due date', () => {
+  const due = new Date('2026-03-10T18:00:00Z');
+  assert.strictEqual(daysLate(due, new Date('2026-03-09T12:00:00Z')), 0);
+  assert.strictEqual(daysLate(due, new Date('2026-03-10T23:59:00Z')), 0);
+  assert.strictEqual(daysLate(due, new Date('2026-03-11T00:01:00Z')), 1);
+  assert.strictEqual(daysLate(due, new Date('2026-04-10T08:00:00Z')), 31);
+});
+
+test('a patron who still owes fines is not deleted', async () => {
+  const patron = new Patron({ first_name: 'Ana', family_name: 'Neil', card_number: 'A1', email: 'a@example.com' });
+  mock.method(Patron, 'findById', () => query(patron));
+  mock.method(Loan, 'find', () => query([]));
+  mock.method(Fine, 'balanceFor', async () => 250);
+  const remove = mock.method(Patron, 'findByIdAndDelete', async () => patron);
+
+  let rendered = null;
+  const res = { render: (view, locals) => (rendered = locals), redirect: () => {} };
+  await controller.patron_delete_post({ params: { id: String(patron._id) }, body: {} }, res, assert.ifError);
+
+  assert.strictEqual(remove.mock.callCount(), 0);
+  assert.strictEqual(rendered.fine_balance, '2.50');
+});
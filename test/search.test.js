@@ -0,0 +1,29 @@
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert');
+
+const Author = require('../models/author');
+const Book = require('../models/book');
+const Genre = require('../models/genre');
+const searchController = require('../controllers/searchController');
+const { query, runRoute } = require('./helpers');
+
+afterEach(() => mock.restoreAll());
+
+test('author results load every part of the name they show', async () => {
+  const find = mock.method(Author, 'find', () => query([]));
+  mock.method(Book, 'find', () => query([]));
+  mock.method(Genre, 'find', () => query([]));
+  mock.method(Book, 'findOne', () => query(null));
+
+  await runRoute(searchController.search, { query: { q: 'Ronald' } });
+
+  const projection = find.mock.calls[0].arguments[1];
+  for (const field of ['first_name', 'middle_name', 'family_name', 'family_name_first']) {
+    assert.strictEqual(projection[field], 1, field);
+  }
+});
+
+test('the author search index covers middle names', () => {
+  const [fields] = Author.schema.indexes().find(([, options]) => options.name === 'author_text');
+  assert.deepStrictEqual(fields, { first_name: 'text', middle_name: 'text', family_name: 'text' });
+});
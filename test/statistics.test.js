@@ -0,0 +1,53 @@
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert');
+
+const Author = require('../models/author');
+const BookInstance = require('../models/bookinstance');
+const Branch = require('../models/branch');
+const Loan = require('../models/loan');
+const circulation = require('../lib/circulation');
+const statistics = require('../lib/statistics');
+const controller = require('../controllers/bookInstanceController');
+const { query, runRoute } = require('./helpers');
+
+afterEach(() => mock.restoreAll());
+
+const NOW = new Date('2024-03-14T15:30:00Z');
+
+test('since starts the first bucket of each period', () => {
+  assert.deepStrictEqual(statistics.since('day', NOW), new Date('2024-02-14T00:00:00Z'));
+  assert.deepStrictEqual(statistics.since('week', NOW), new Date('2023-12-25T00:00:00Z'));
+  assert.deepStrictEqual(statistics.since('month', NOW), new Date('2023-04-01T00:00:00Z'));
+});
+
+test('copies are overdue from the day after their due date', () => {
+  assert.deepStrictEqual(circulation.overdueBefore(NOW), new Date('2024-03-14T00:00:00Z'));
+  assert.strictEqual(circulation.daysLate(new Date('2024-03-13T23:59:00Z'), NOW), 1);
+});
+
+test('the overdue list and the dashboard agree on which copies are overdue', async () => {
+  mock.timers.enable({ apis: ['Date'], now: NOW });
+  const find = mock.method(BookInstance, 'find', () => query([]));
+  mock.method(Branch, 'find', () => query([]));
+  const aggregate = mock.method(BookInstance, 'aggregate', () => query([{ total: [], byBranch: [], byLateness: [] }]));
+
+  await runRoute([controller.bookinstance_overdue], { query: {} });
+  await statistics.overdue(NOW);
+  mock.timers.reset();
+
+  const listed = find.mock.calls[0].arguments[0].due_back;
+  const counted = aggregate.mock.calls[0].arguments[0][0].$match.due_back;
+  assert.deepStrictEqual(listed, { $lt: new Date('2024-03-14T00:00:00Z') });
+  assert.deepStrictEqual(counted, listed);
+});
+
+test('chart labels are the plain titles and names', async () => {
+  mock.method(Loan, 'aggregate', () => query([{ _id: 1, title: 'Ender&#x27;s Game &amp; More', loans: 3 }]));
+  const [title] = await statistics.mostBorrowedTitles(NOW);
+  assert.strictEqual(title.label, "Ender's Game & More");
+
+  const author = new Author({ first_name: 'Flann', family_name: 'O&#x27;Brien' });
+  mock.method(Loan, 'aggregate', () => query([{ _id: author._id, record: author.toObject(), loans: 2 }]));
+  const [name] = await statistics.mostBorrowedAuthors(NOW);
+  assert.match(name.label, /O'Brien/);
+});
@@ -0,0 +1,69 @@
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert');
+
+const Book = require('../models/book');
+const BookInstance = require('../models/bookinstance');
+const Branch = require('../models/branch');
+const Hold = require('../models/hold');
+const Transfer = require('../models/transfer');
+const audit = require('../lib/audit');
+const circulation = require('../lib/circulation');
+const { query } = require('./helpers');
+
+afterEach(() => mock.restoreAll());
+
+function copy(status) {
+  return new BookInstance({ book: new Book({ title: 'Dune' }), imprint: 'Ace', status, branch: new Branch()._id });
+}
+
+test('sending a copy records the status it had', async () => {
+  const inMaintenance = copy('Maintenance');
+  const send = mock.method(BookInstance, 'findOneAndUpdate', () => query(copy('In transit')));
+  const create = mock.method(Transfer, 'create', async (fields) => fields);
+  mock.method(audit, 'updated', async () => null);
+
+  await circulation.sendCopy(inMaintenance, new Branch());
+
+  assert.deepStrictEqual(send.mock.calls[0].arguments[0], { _id: inMaintenance._id, status: 'Maintenance' });
+  assert.strictEqual(create.mock.calls[0].arguments[0].previous_status, 'Maintenance');
+});
+
+test('copies out on loan or on hold are not sent', async () => {
+  const send = mock.method(BookInstance, 'findOneAndUpdate', () => query(null));
+
+  assert.strictEqual(await circulation.sendCopy(copy('Loaned'), new Branch()), null);
+  assert.strictEqual(send.mock.callCount(), 0);
+});
+
+test('a copy sent from maintenance goes back to maintenance when the transfer closes', async () => {
+  const transfer = new Transfer({ book_instance: copy()._id, to: new Branch()._id, previous_status: 'Maintenance' });
+  for (const status of ['Received', 'Cancelled']) {
+    mock.method(Transfer, 'findOneAndUpdate', () => query(new Transfer({ ...transfer.toObject(), status })));
+    const restore = mock.method(BookInstance, 'findOneAndUpdate', () => query(copy('In transit')));
+    mock.method(BookInstance, 'findById', () => query(copy('Maintenance')));
+    const hold = mock.method(Hold, 'findOneAndUpdate', () => query(null));
+    mock.method(audit, 'updated', async () => null);
+
+    await circulation.closeTransfer(transfer, status);
+
+    const update = restore.mock.calls[0].arguments[1];
+    assert.strictEqual(update.status, 'Maintenance', status);
+    assert.deepStrictEqual(update.branch, status === 'Received' ? transfer.to : undefined, status);
+    assert.strictEqual(hold.mock.callCount(), 0, status);
+    mock.restoreAll();
+  }
+});
+
+test('a copy sent from the shelf goes back on the shelf when the transfer closes', async () => {
+  const transfer = new Transfer({ book_instance: copy()._id, to: new Branch()._id });
+  mock.method(Transfer, 'findOneAndUpdate', () => query(new Transfer({ ...transfer.toObject(), status: 'Received' })));
+  const restore = mock.method(BookInstance, 'findOneAndUpdate', () => query(copy('In transit')));
+  mock.method(Hold, 'findOneAndUpdate', () => query(null));
+  const shelve = mock.method(BookInstance, 'findByIdAndUpdate', () => query(copy('Available')));
+  mock.method(audit, 'updated', async () => null);
+
+  await circulation.closeTransfer(transfer, 'Received');
+
+  assert.strictEqual(restore.mock.calls[0].arguments[1].status, undefined);
+  assert.strictEqual(shelve.mock.calls[0].arguments[1].status, 'Available');
+});
@@ -0,0 +1,46 @@
+const { body } = require('express-validator');
+
+// Names in any script, with the spaces, hyphens, apostrophes and periods of names like
+// "García Márquez", "O'Brien", "Jean-Paul" or "J. R. R.". At least one letter is required.
+const NAME_PATTERN = /^(?=.*\p{L})[\p{L}\p{M}'’. -]+$/u;
+
+// Names are stored as typed, not HTML-escaped: the views escape them when rendering, and the
+// exports and sorting need the real characters.
+function name(field, label, { optional = false } = {}) {
+  let chain = body(field).trim();
+  if (optional) {
+    chain = chain.optional({ values: 'falsy' });
+  } else {
+    chain = chain.notEmpty().withMessage(`${label} must be specified`);
+  }
+  return chain
+    .isLength({ max: 100 })
+    .withMessage(`${label} must be at most 100 characters`)
+    .matches(NAME_PATTERN)
+    .withMessage(`${label} may only contain letters, spaces, hyphens, apostrophes and periods`);
+}
+
+// Validation and sanitization of Author fields, shared by the forms and the JSON API.
+module.exports = [
+  name('first_name', 'First name'),
+
+  name('middle_name', 'Middle name', { optional: true }),
+
+  name('family_name', 'Family name'),
+
+  body('family_name_first').toBoolean(),
+
+  body('date_of_birth', 'Invalid date of birth')
+    .optional( {values: 'falsy' })
+    .isISO8601()
+    .toDate(),
+
+  body('date_of_death', 'Invalid date of death')
+    .optional( {values: 'falsy' })
+    .isISO8601()
+    .toDate(),
+
+  // No real author is stored as null, so that an update clears it.
+  body('pseudonym_of').customSanitizer((value) => (typeof value === 'string' ? value.trim() : value) || null),
+  body('pseudonym_of', 'Real author not found').optional({ values: 'null' }).isMongoId(),
+];
@@ -0,0 +1,98 @@
+const { body } = require('express-validator');
+const Book = require('../models/book');
+const isbn = require('../lib/isbn');
+
+const CONTRIBUTOR_ROLES = Book.schema.path('contributors.role').enumValues;
+
+// Validation and sanitization of Book fields, shared by the forms and the JSON API.
+module.exports = [
+  // Convert the genre to an array.
+  (req, res, next) => {
+    if (!(req.body.genre instanceof Array)) {
+      if (typeof req.body.genre === 'undefined') {
+        req.body.genre = [];
+      } else {
+        req.body.genre = new Array(req.body.genre);
+      }
+    }
+    next();
+  },
+
+  // Convert the contributors to an array of { author, role }, dropping the empty rows of the form.
+  (req, res, next) => {
+    const contributors = req.body.contributors;
+    const rows = Array.isArray(contributors) ? contributors : Object.values(contributors || {});
+    req.body.contributors = rows
+      .filter((row) => row && row.author)
+      .map((row) => ({ author: row.author, role: row.role || 'Author' }));
+    next();
+  },
+
+  body('title', 'Title must not be empty.')
+    .trim()
+    .notEmpty()
+    .escape(),
+
+  body('subtitle').optional().trim().escape(),
+
+  body('author')
+    .trim()
+    .notEmpty()
+    .withMessage('Author must not be empty.')
+    .bail()
+    .isMongoId()
+    .withMessage('Author must be an author of the catalog'),
+
+  body('summary', 'Summary must not be empty')
+    .trim()
+    .notEmpty()
+    .escape(),
+
+  body('isbn')
+    .trim()
+    .notEmpty()
+    .withMessage('ISBN must not be empty')
+    .bail()
+    .custom(isbn.isValid)
+    .withMessage('ISBN is not a valid ISBN-10 or ISBN-13')
+    .customSanitizer((value) => isbn.normalize(value) || value),
+
+  body('genre.*', 'Genre must be a genre of the catalog').isMongoId(),
+
+  body('contributors.*.author', 'Contributor must be an author of the catalog').trim().isMongoId(),
+
+  body('contributors.*.role', `Contributor role must be one of ${CONTRIBUTOR_ROLES.join(', ')}`)
+    .isIn(CONTRIBUTOR_ROLES),
+
+  body('publisher').optional().trim().escape(),
+
+  body('publication_year', 'Publication year must be a year no later than next year')
+    .optional({ values: 'falsy' })
+    .isInt({ min: 0 })
+    .custom((value) => Number(value) <= new Date().getFullYear() + 1)
+    .toInt(),
+
+  body('language', 'Language must not be longer than 50 characters')
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .escape(),
+
+  body('page_count', 'Page count must be a whole number of pages')
+    .optional({ values: 'falsy' })
+    .isInt({ min: 1 })
+    .toInt(),
+
+  body('edition').optional().trim().escape(),
+
+  body('series').optional().trim().escape(),
+
+  body('series_number')
+    .optional({ values: 'falsy' })
+    .isFloat({ min: 0 })
+    .withMessage('Series number must be a number')
+    .bail()
+    .custom((value, { req }) => Boolean(req.body.series))
+    .withMessage('A series number needs a series')
+    .toFloat(),
+];
@@ -0,0 +1,51 @@
+const { body } = require('express-validator');
+const Branch = require('../models/branch');
+
+// Validation and sanitization of BookInstance fields, shared by the forms and the JSON API.
+// Loaned, Reserved and In transit are only ever set by the circulation actions.
+module.exports = [
+  body('book')
+    .trim()
+    .notEmpty()
+    .withMessage('Book must be specified')
+    .bail()
+    .isMongoId()
+    .withMessage('Book must be a book of the catalog'),
+  body('imprint', 'Imprint must be specified').trim().notEmpty().escape(),
+  body('barcode')
+    .trim()
+    .notEmpty()
+    .withMessage('Barcode must be specified')
+    .bail()
+    .matches(/^[A-Za-z0-9-]{1,32}$/)
+    .withMessage('Barcode may only contain letters, digits and hyphens (up to 32)')
+    .toUpperCase(),
+  body('call_number').optional().trim().escape(),
+  // No branch is stored as null, so that an update clears it.
+  body('branch').customSanitizer((value) => (typeof value === 'string' ? value.trim() : value) || null),
+  body('branch', 'Branch not found')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .bail()
+    .custom(async (value) => {
+      if (!(await Branch.exists({ _id: value }))) {
+        throw new Error('Branch not found');
+      }
+    }),
+  body('acquired', 'Invalid acquisition date').optional({ values: 'falsy' }).isISO8601().toDate(),
+  // Prices are entered in currency units and stored in cents.
+  body('price', 'Price must be an amount such as 12.50')
+    .optional({ values: 'falsy' })
+    .isFloat({ min: 0 })
+    .customSanitizer((value) => Math.round(Number(value) * 100)),
+  body('condition', 'Condition notes must not be longer than 500 characters')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .escape(),
+  body('status', 'Copies are loaned and reserved through circulation actions')
+    .optional({ values: 'falsy' })
+    .escape()
+    .isIn(['Maintenance', 'Available']),
+  body('due_back', 'Invalid date').optional({ values: 'falsy' }).isISO8601().toDate(),
+];
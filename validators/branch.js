@@ -0,0 +1,14 @@
+const { body } = require('express-validator');
+
+// Validation and sanitization of Branch fields, shared by the forms and the JSON API.
+module.exports = [
+  body('name', 'Branch name must be specified (up to 100 characters)')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .escape(),
+  body('address', 'Address must not be longer than 200 characters')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .escape(),
+];
@@ -0,0 +1,12 @@
+const { body } = require('express-validator');
+
+// Validation and sanitization of Genre fields, shared by the forms and the JSON API.
+module.exports = [
+  body('name', 'Genre must contain at least 3 characteres')
+    .trim()
+    .isLength({ min: 3 })
+    .escape(),
+  // No parent is stored as null, so that an update clears it.
+  body('parent').customSanitizer((value) => (typeof value === 'string' ? value.trim() : value) || null),
+  body('parent', 'Parent genre not found').optional({ values: 'null' }).isMongoId(),
+];
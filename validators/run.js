@@ -0,0 +1,15 @@
+const { validationResult } = require('express-validator');
+
+// Run validators (express-validator chains and plain middleware) on a set of values, like a form
+// POST, outside of a request. Returns the sanitized values and the error messages.
+module.exports = async function runValidators(validators, values) {
+  const req = { body: { ...values }, params: {} };
+  for (const validator of validators) {
+    if (typeof validator.run === 'function') {
+      await validator.run(req);
+    } else {
+      await new Promise((resolve) => validator(req, {}, resolve));
+    }
+  }
+  return { body: req.body, errors: validationResult(req).array().map((error) => error.msg) };
+};